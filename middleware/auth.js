@@ -1,7 +1,7 @@
-
 const jwt = require('jsonwebtoken');
+const User = require('../models/User');
 
-module.exports = function(req, res, next) {
+module.exports = async function(req, res, next) {
   // Get token from cookie
   const token = req.cookies.token;
   
@@ -11,12 +11,25 @@ module.exports = function(req, res, next) {
   }
   
   // Verify token
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    return res.status(401).json({ message: 'Token is not valid' });
+  }
+  
+  // Tokens outlive the account: one whose user is gone or awaiting
+  // deletion no longer authorizes anything
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    req.user = decoded.user;
-    next();
+    const user = await User.findById(decoded.user.id).select('deletionRequestedAt').lean();
+    if (!user || user.deletionRequestedAt) {
+      return res.status(401).json({ message: 'Token is not valid' });
+    }
   } catch (err) {
-    res.status(401).json({ message: 'Token is not valid' });
+    console.error(err.message);
+    return res.status(500).json({ message: 'Server error' });
   }
+  
+  req.user = decoded.user;
+  next();
 };
@@ -0,0 +1,31 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+
+// Like auth, but lets anonymous requests through without req.user
+module.exports = async function(req, res, next) {
+  const token = req.cookies.token;
+  
+  if (token) {
+    let decoded = null;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (err) {
+      // Invalid token, continue without user context
+    }
+    
+    // A user who is gone or awaiting deletion is treated as anonymous
+    if (decoded) {
+      try {
+        const user = await User.findById(decoded.user.id).select('deletionRequestedAt').lean();
+        if (user && !user.deletionRequestedAt) {
+          req.user = decoded.user;
+        }
+      } catch (err) {
+        console.error(err.message);
+        return res.status(500).json({ message: 'Server error' });
+      }
+    }
+  }
+  
+  next();
+};
@@ -0,0 +1,25 @@
+// Posts created before ranking scores were stored have a hotScore and
+// controversyScore of 0; compute them from their vote counters
+const Post = require('../models/Post');
+const { calculateHotScore, calculateControversyScore } = require('../utils/ranking');
+const { inBatches } = require('../utils/batches');
+
+async function up() {
+  const cursor = Post.find().select('votes upvotes downvotes createdAt').lean().cursor();
+  
+  for await (const posts of inBatches(cursor)) {
+    await Post.bulkWrite(posts.map(post => ({
+      updateOne: {
+        filter: { _id: post._id },
+        update: {
+          $set: {
+            hotScore: calculateHotScore(post.votes, post.createdAt),
+            controversyScore: calculateControversyScore(post.upvotes || 0, post.downvotes || 0)
+          }
+        }
+      }
+    })));
+  }
+}
+
+module.exports = { up };
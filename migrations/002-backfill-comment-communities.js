@@ -0,0 +1,15 @@
+// Comments created before they stored their community get it copied from
+// their post
+const Comment = require('../models/Comment');
+
+async function up() {
+  await Comment.aggregate([
+    { $match: { community: { $exists: false } } },
+    { $lookup: { from: 'posts', localField: 'post', foreignField: '_id', as: 'post' } },
+    { $unwind: '$post' },
+    { $project: { community: '$post.community' } },
+    { $merge: { into: 'comments', on: '_id', whenMatched: 'merge', whenNotMatched: 'discard' } }
+  ]);
+}
+
+module.exports = { up };
@@ -0,0 +1,9 @@
+// Users who signed up before karma was stored have none; compute it from
+// their votes
+const { reconcileKarma } = require('../utils/karma');
+
+async function up() {
+  await reconcileKarma({ fix: true });
+}
+
+module.exports = { up };
@@ -0,0 +1,10 @@
+// Comments created before vote counters were stored have none; recompute
+// the counters of every post and comment from their votes
+const { reconcileVoteCounts } = require('../utils/voting');
+
+async function up() {
+  await reconcileVoteCounts('post', { fix: true });
+  await reconcileVoteCounts('comment', { fix: true });
+}
+
+module.exports = { up };
@@ -0,0 +1,43 @@
+// Moderators added before permissions were stored per moderator had full
+// access without an entry; give them an explicit one, as a missing entry
+// now grants nothing
+const Community = require('../models/Community');
+const { MODERATOR_PERMISSIONS } = require('../utils/moderation');
+const { inBatches } = require('../utils/batches');
+
+async function up() {
+  const cursor = Community.find({ 'moderators.0': { $exists: true } })
+    .select('creator moderators moderatorPermissions')
+    .lean()
+    .cursor();
+  
+  for await (const communities of inBatches(cursor)) {
+    const updates = [];
+    
+    communities.forEach(community => {
+      const withEntry = new Set((community.moderatorPermissions || []).map(entry => entry.user.toString()));
+      const missing = community.moderators.filter(
+        id => !id.equals(community.creator) && !withEntry.has(id.toString())
+      );
+      
+      if (missing.length > 0) {
+        updates.push({
+          updateOne: {
+            filter: { _id: community._id },
+            update: {
+              $push: {
+                moderatorPermissions: { $each: missing.map(user => ({ user, permissions: MODERATOR_PERMISSIONS })) }
+              }
+            }
+          }
+        });
+      }
+    });
+    
+    if (updates.length > 0) {
+      await Community.bulkWrite(updates);
+    }
+  }
+}
+
+module.exports = { up };
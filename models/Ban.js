@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const BanSchema = new mongoose.Schema({
+  community: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Community',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Shown to the banned user
+  reason: {
+    type: String,
+    default: '',
+    trim: true,
+    maxlength: 300
+  },
+  // Only visible to moderators
+  note: {
+    type: String,
+    default: '',
+    trim: true,
+    maxlength: 300
+  },
+  bannedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Null for permanent bans
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A user has at most one ban per community
+BanSchema.index({ community: 1, user: 1 }, { unique: true });
+
+// Ban listings per community, newest first
+BanSchema.index({ community: 1, createdAt: -1, _id: -1 });
+
+// Temporary bans are deleted once they expire; permanent bans have no
+// expiry and are kept
+BanSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Ban', BanSchema);
@@ -17,6 +17,12 @@ const CommentSchema = new mongoose.Schema({
     ref: 'Post',
     required: true
   },
+  // Name of the post's community, copied so comment listings can filter by
+  // community without loading the posts
+  community: {
+    type: String,
+    trim: true
+  },
   parentComment: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Comment'
@@ -25,10 +31,56 @@ const CommentSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  upvotes: {
+    type: Number,
+    default: 0
+  },
+  downvotes: {
+    type: Number,
+    default: 0
+  },
   isEdited: {
     type: Boolean,
     default: false
   },
+  editedAt: {
+    type: Date
+  },
+  // Deleted by the author; kept in place until purged
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date
+  },
+  // Set when the purge job erased the content of a deleted item that had to
+  // stay as a placeholder in its thread
+  purgedAt: {
+    type: Date
+  },
+  isRemoved: {
+    type: Boolean,
+    default: false
+  },
+  removedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  removedAt: {
+    type: Date
+  },
+  removalReason: {
+    type: String,
+    default: ''
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: {
+    type: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -39,6 +91,18 @@ const CommentSchema = new mongoose.Schema({
   }
 });
 
+// Comment trees are loaded per post and grouped by parent
+CommentSchema.index({ post: 1, parentComment: 1 });
+
+// User profile comment listings
+CommentSchema.index({ author: 1, createdAt: -1, _id: -1 });
+
+// Purging deleted comments
+CommentSchema.index({ isDeleted: 1, deletedAt: 1 }, { partialFilterExpression: { isDeleted: true } });
+
+// Full-text search
+CommentSchema.index({ content: 'text' });
+
 // Update the updatedAt field before saving
 CommentSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
@@ -1,6 +1,25 @@
 
 const mongoose = require('mongoose');
 
+// A flair moderators offer for posts or users; mod-only flairs can only be
+// given out by moderators
+const FlairTemplateSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 64
+  },
+  color: {
+    type: String,
+    default: '#edeff1'
+  },
+  modOnly: {
+    type: Boolean,
+    default: false
+  }
+});
+
 const CommunitySchema = new mongoose.Schema({
   name: {
     type: String,
@@ -24,6 +43,17 @@ const CommunitySchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  // Uploaded images the icon and banner URLs point at
+  iconMedia: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Media',
+    default: null
+  },
+  bannerMedia: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Media',
+    default: null
+  },
   type: {
     type: String,
     enum: ['public', 'restricted', 'private'],
@@ -38,10 +68,90 @@ const CommunitySchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  // Per-moderator permissions; the creator always has every permission and
+  // moderators without an entry have none
+  moderatorPermissions: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    permissions: [{
+      type: String,
+      enum: ['posts', 'config', 'members', 'rules']
+    }]
+  }],
+  moderatorInvites: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    permissions: [{
+      type: String,
+      enum: ['posts', 'config', 'members', 'rules']
+    }],
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   members: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  // Users allowed to post in a restricted community
+  approvedSubmitters: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Pending requests to join a private community
+  joinRequests: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    message: {
+      type: String,
+      default: '',
+      trim: true,
+      maxlength: 500
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Users who may not message the moderators
+  mutedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Kinds of post members may submit
+  allowedPostKinds: {
+    type: [{
+      type: String,
+      enum: ['text', 'link', 'image', 'poll']
+    }],
+    default: ['text', 'link', 'image', 'poll']
+  },
+  postFlairs: [FlairTemplateSchema],
+  userFlairs: [FlairTemplateSchema],
+  // Whether anyone, not just moderators, can read edit history
+  publicEditHistory: {
+    type: Boolean,
+    default: false
+  },
+  // Whether every post needs a flair
+  requirePostFlair: {
+    type: Boolean,
+    default: false
+  },
   memberCount: {
     type: Number,
     default: 0
@@ -56,4 +166,10 @@ const CommunitySchema = new mongoose.Schema({
   }
 });
 
+// Home feeds look up the communities a user has joined
+CommunitySchema.index({ members: 1 });
+
+// Full-text search, names weighted above descriptions
+CommunitySchema.index({ name: 'text', description: 'text' }, { weights: { name: 3, description: 1 } });
+
 module.exports = mongoose.model('Community', CommunitySchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// A user's karma earned in one community
+const CommunityKarmaSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  community: {
+    type: String,
+    required: true
+  },
+  postKarma: {
+    type: Number,
+    default: 0
+  },
+  commentKarma: {
+    type: Number,
+    default: 0
+  }
+});
+
+CommunityKarmaSchema.index({ user: 1, community: 1 }, { unique: true });
+
+module.exports = mongoose.model('CommunityKarma', CommunityKarmaSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// A message thread, either between two users or, when `community` is set,
+// between one user and that community's moderators (modmail)
+const ConversationSchema = new mongoose.Schema({
+  participants: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  community: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Community',
+    default: null
+  },
+  subject: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Conversation listings per user and per modmail inbox, most recent first
+ConversationSchema.index({ participants: 1, lastMessageAt: -1, _id: -1 });
+ConversationSchema.index({ community: 1, lastMessageAt: -1, _id: -1 });
+
+module.exports = mongoose.model('Conversation', ConversationSchema);
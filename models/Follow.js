@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// A user following another user's posts
+const FollowSchema = new mongoose.Schema({
+  follower: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  following: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A user can only follow another once; also lists who a user follows
+FollowSchema.index({ follower: 1, following: 1 }, { unique: true });
+
+// Follower listings, newest first
+FollowSchema.index({ following: 1, createdAt: -1, _id: -1 });
+
+// Following listings, newest first
+FollowSchema.index({ follower: 1, createdAt: -1, _id: -1 });
+
+module.exports = mongoose.model('Follow', FollowSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// A post a user does not want to see in listings
+const HiddenPostSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A user can only hide a post once
+HiddenPostSchema.index({ user: 1, post: 1 }, { unique: true });
+
+module.exports = mongoose.model('HiddenPost', HiddenPostSchema);
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Held by one server at a time while it runs a background job. Expires so a
+// server that dies mid-job does not block the job forever.
+const LockSchema = new mongoose.Schema({
+  // Name of the job
+  _id: {
+    type: String
+  },
+  holder: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+module.exports = mongoose.model('Lock', LockSchema);
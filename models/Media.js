@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// An image uploaded by a user, used by image posts, avatars and community
+// icons and banners
+const MediaSchema = new mongoose.Schema({
+  uploader: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  // Storage key of the original file
+  key: {
+    type: String,
+    required: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    default: 0
+  },
+  width: {
+    type: Number
+  },
+  height: {
+    type: Number
+  },
+  // Resized copies, smallest first
+  thumbnails: [{
+    name: {
+      type: String,
+      required: true
+    },
+    url: {
+      type: String,
+      required: true
+    },
+    key: {
+      type: String,
+      required: true
+    },
+    width: {
+      type: Number
+    },
+    height: {
+      type: Number
+    }
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('Media', MediaSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const MessageSchema = new mongoose.Schema({
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Null when the message goes to a community's shared modmail inbox
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  community: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Community',
+    default: null
+  },
+  body: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 10000
+  },
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  // Users who deleted the message from their own view
+  deletedFor: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Inbox and sent listings, newest first
+MessageSchema.index({ recipient: 1, createdAt: -1, _id: -1 });
+MessageSchema.index({ sender: 1, createdAt: -1, _id: -1 });
+
+// Messages within a conversation, oldest first
+MessageSchema.index({ conversation: 1, createdAt: 1, _id: 1 });
+
+// Unread counts
+MessageSchema.index({ recipient: 1, isRead: 1 });
+MessageSchema.index({ community: 1, recipient: 1, isRead: 1 });
+
+module.exports = mongoose.model('Message', MessageSchema);
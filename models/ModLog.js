@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const ModLogSchema = new mongoose.Schema({
+  community: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Community',
+    required: true
+  },
+  moderator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: [
+      'remove_post',
+      'approve_post',
+      'ignore_reports_post',
+      'remove_comment',
+      'approve_comment',
+      'ignore_reports_comment',
+      'approve_join_request',
+      'deny_join_request',
+      'add_approved_submitter',
+      'remove_approved_submitter',
+      'invite_moderator',
+      'accept_moderator_invite',
+      'decline_moderator_invite',
+      'remove_moderator',
+      'update_moderator_permissions',
+      'transfer_ownership',
+      'ban_user',
+      'unban_user',
+      'mute_user',
+      'unmute_user'
+    ]
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetType'
+  },
+  targetType: {
+    type: String,
+    enum: ['Post', 'Comment', 'User']
+  },
+  // Author of the moderated content, or the user acted upon
+  targetUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Mod log listings per community, newest first
+ModLogSchema.index({ community: 1, createdAt: -1, _id: -1 });
+
+module.exports = mongoose.model('ModLog', ModLogSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const NotificationSchema = new mongoose.Schema({
+  // Recipient
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['post_reply', 'comment_reply', 'mention', 'mod_removal']
+  },
+  // User whose action caused the notification
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  },
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment'
+  },
+  community: {
+    type: String,
+    trim: true
+  },
+  message: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Inbox listings per user, newest first
+NotificationSchema.index({ user: 1, createdAt: -1, _id: -1 });
+NotificationSchema.index({ user: 1, type: 1, createdAt: -1, _id: -1 });
+
+// Unread counts
+NotificationSchema.index({ user: 1, isRead: 1 });
+
+module.exports = mongoose.model('Notification', NotificationSchema);
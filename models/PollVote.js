@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+const PollVoteSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Index into the poll's options
+  option: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A user can only vote once per poll
+PollVoteSchema.index({ post: 1, user: 1 }, { unique: true });
+
+module.exports = mongoose.model('PollVote', PollVoteSchema);
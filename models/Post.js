@@ -1,5 +1,31 @@
 
 const mongoose = require('mongoose');
+const { calculateHotScore, calculateControversyScore } = require('../utils/ranking');
+const { COMMENT_SORT_MODES } = require('../utils/commentTree');
+
+// Options, tallies and closing time of a poll post
+const PollSchema = new mongoose.Schema({
+  options: [{
+    text: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100
+    },
+    votes: {
+      type: Number,
+      default: 0
+    }
+  }],
+  totalVotes: {
+    type: Number,
+    default: 0
+  },
+  closesAt: {
+    type: Date,
+    required: true
+  }
+}, { _id: false });
 
 const PostSchema = new mongoose.Schema({
   title: {
@@ -12,6 +38,42 @@ const PostSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  kind: {
+    type: String,
+    enum: ['text', 'link', 'image', 'poll'],
+    default: 'text'
+  },
+  // Link posts: the target URL and its host name (without www.)
+  url: {
+    type: String,
+    trim: true
+  },
+  domain: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  // Image posts: the uploaded image
+  media: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Media'
+  },
+  poll: {
+    type: PollSchema,
+    default: undefined
+  },
+  // Copy of the community's flair template, kept in sync when it changes
+  flair: {
+    template: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    text: {
+      type: String
+    },
+    color: {
+      type: String
+    }
+  },
   author: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -26,10 +88,69 @@ const PostSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  upvotes: {
+    type: Number,
+    default: 0
+  },
+  downvotes: {
+    type: Number,
+    default: 0
+  },
+  hotScore: {
+    type: Number,
+    default: 0
+  },
+  controversyScore: {
+    type: Number,
+    default: 0
+  },
+  suggestedSort: {
+    type: String,
+    enum: COMMENT_SORT_MODES,
+    default: null
+  },
   isEdited: {
     type: Boolean,
     default: false
   },
+  editedAt: {
+    type: Date
+  },
+  // Deleted by the author; kept in place until purged
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date
+  },
+  // Set when the purge job erased the content of a deleted item that had to
+  // stay as a placeholder in its thread
+  purgedAt: {
+    type: Date
+  },
+  isRemoved: {
+    type: Boolean,
+    default: false
+  },
+  removedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  removedAt: {
+    type: Date
+  },
+  removalReason: {
+    type: String,
+    default: ''
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: {
+    type: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -40,9 +161,30 @@ const PostSchema = new mongoose.Schema({
   }
 });
 
-// Update the updatedAt field before saving
+// Indexes backing the listing sort modes and their cursors
+PostSchema.index({ hotScore: -1, _id: -1 });
+PostSchema.index({ community: 1, hotScore: -1, _id: -1 });
+PostSchema.index({ createdAt: -1, _id: -1 });
+PostSchema.index({ community: 1, createdAt: -1, _id: -1 });
+PostSchema.index({ community: 1, 'flair.template': 1, createdAt: -1, _id: -1 });
+PostSchema.index({ author: 1, createdAt: -1, _id: -1 });
+PostSchema.index({ domain: 1, createdAt: -1, _id: -1 });
+PostSchema.index({ votes: -1, _id: -1 });
+PostSchema.index({ community: 1, votes: -1, _id: -1 });
+PostSchema.index({ controversyScore: -1, _id: -1 });
+PostSchema.index({ community: 1, controversyScore: -1, _id: -1 });
+
+// Purging deleted posts
+PostSchema.index({ isDeleted: 1, deletedAt: 1 }, { partialFilterExpression: { isDeleted: true } });
+
+// Full-text search, titles weighted above body text
+PostSchema.index({ title: 'text', content: 'text' }, { weights: { title: 3, content: 1 } });
+
+// Update the updatedAt field and ranking scores before saving
 PostSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
+  this.hotScore = calculateHotScore(this.votes, this.createdAt);
+  this.controversyScore = calculateControversyScore(this.upvotes, this.downvotes);
   next();
 });
 
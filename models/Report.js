@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// All reports against one post or comment are collected in a single document
+const ReportSchema = new mongoose.Schema({
+  community: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Community',
+    required: true
+  },
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    refPath: 'itemType'
+  },
+  itemType: {
+    type: String,
+    required: true,
+    enum: ['Post', 'Comment']
+  },
+  reports: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    reason: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  reportCount: {
+    type: Number,
+    default: 0
+  },
+  isIgnored: {
+    type: Boolean,
+    default: false
+  },
+  lastReportedAt: {
+    type: Date,
+    default: Date.now
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One report document per item
+ReportSchema.index({ item: 1 }, { unique: true });
+
+// Mod queue listings per community, most recently reported first
+ReportSchema.index({ community: 1, isIgnored: 1, lastReportedAt: -1, _id: -1 });
+
+module.exports = mongoose.model('Report', ReportSchema);
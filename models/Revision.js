@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// A version of a post or comment that an edit replaced
+const RevisionSchema = new mongoose.Schema({
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    refPath: 'itemType'
+  },
+  itemType: {
+    type: String,
+    required: true,
+    enum: ['Post', 'Comment']
+  },
+  // Posts only
+  title: {
+    type: String
+  },
+  content: {
+    type: String,
+    default: ''
+  },
+  // When the edit replaced this version
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+RevisionSchema.index({ item: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Revision', RevisionSchema);
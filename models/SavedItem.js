@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// A post or comment a user has bookmarked
+const SavedItemSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    refPath: 'itemType'
+  },
+  itemType: {
+    type: String,
+    required: true,
+    enum: ['Post', 'Comment']
+  },
+  // Name of the community the item belongs to, for filtering
+  community: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A user can only save an item once
+SavedItemSchema.index({ user: 1, item: 1 }, { unique: true });
+
+// Saved listings are newest first, optionally by community
+SavedItemSchema.index({ user: 1, createdAt: -1, _id: -1 });
+SavedItemSchema.index({ user: 1, community: 1, createdAt: -1, _id: -1 });
+
+module.exports = mongoose.model('SavedItem', SavedItemSchema);
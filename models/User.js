@@ -24,15 +24,78 @@ const UserSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  // Uploaded image the avatar URL points at
+  avatarMedia: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Media',
+    default: null
+  },
   bio: {
     type: String,
     default: '',
     maxlength: 500
   },
+  // Votes others have given the user's posts and comments; self-votes do
+  // not count
+  postKarma: {
+    type: Number,
+    default: 0
+  },
+  commentKarma: {
+    type: Number,
+    default: 0
+  },
+  // Whether only the user can see who follows them
+  hideFollowers: {
+    type: Boolean,
+    default: false
+  },
+  // Users this user has blocked
+  blockedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Notification types the user wants to receive
+  notificationPreferences: {
+    post_reply: {
+      type: Boolean,
+      default: true
+    },
+    comment_reply: {
+      type: Boolean,
+      default: true
+    },
+    mention: {
+      type: Boolean,
+      default: true
+    },
+    mod_removal: {
+      type: Boolean,
+      default: true
+    }
+  },
+  // Set when the user asks for their account to be deleted; the account is
+  // removed in the background, and their posts and comments are deleted
+  // along with it when `deleteContent` is set
+  deletionRequestedAt: {
+    type: Date
+  },
+  deleteContent: {
+    type: Boolean
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+// Full-text search, usernames weighted above bios
+UserSchema.index({ username: 'text', bio: 'text' }, { weights: { username: 3, bio: 1 } });
+
+// Finding account deletions that have not finished
+UserSchema.index(
+  { deletionRequestedAt: 1 },
+  { partialFilterExpression: { deletionRequestedAt: { $exists: true } } }
+);
+
 module.exports = mongoose.model('User', UserSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// The flair a user wears in one community, copied from a template
+const UserFlairSchema = new mongoose.Schema({
+  community: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  color: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One flair per user per community
+UserFlairSchema.index({ community: 1, user: 1 }, { unique: true });
+
+module.exports = mongoose.model('UserFlair', UserFlairSchema);
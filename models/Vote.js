@@ -31,4 +31,7 @@ const VoteSchema = new mongoose.Schema({
 // Compound index to ensure a user can only have one vote per item
 VoteSchema.index({ user: 1, item: 1 }, { unique: true });
 
+// Tallying an item's votes, as vote reconciliation does per batch
+VoteSchema.index({ item: 1 });
+
 module.exports = mongoose.model('Vote', VoteSchema);
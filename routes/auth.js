@@ -85,9 +85,9 @@ router.post(
     try {
       const { username, password } = req.body;
 
-      // Check if user exists
+      // Check if user exists and is not being deleted
       const user = await User.findOne({ username });
-      if (!user) {
+      if (!user || user.deletionRequestedAt) {
         return res.status(400).json({ message: 'Invalid credentials' });
       }
 
@@ -125,7 +125,9 @@ router.post(
             username: user.username,
             email: user.email,
             avatar: user.avatar,
-            karma: user.karma,
+            karma: user.postKarma + user.commentKarma,
+            postKarma: user.postKarma,
+            commentKarma: user.commentKarma,
             createdAt: user.createdAt,
           };
           
@@ -3,8 +3,25 @@ const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const Comment = require('../models/Comment');
-const Vote = require('../models/Vote');
+const SavedItem = require('../models/SavedItem');
 const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const { canView, getActiveBan } = require('../utils/communityAccess');
+const { postChannel, publish } = require('../utils/events');
+const { applyKarma, revokeKarma } = require('../utils/karma');
+const { castVote } = require('../utils/voting');
+const { recordRevision, canViewRevisions, getVersions } = require('../utils/revisions');
+const { softDelete } = require('../utils/deletion');
+const {
+  removalValidators,
+  hasPermission,
+  getCommentCommunity,
+  getRemovalReason,
+  removeContent,
+  approveContent,
+  fileReport,
+  ignoreReports
+} = require('../utils/moderation');
 
 // @route   PUT api/comments/:id
 // @desc    Update a comment
@@ -24,7 +41,7 @@ router.put(
     try {
       const comment = await Comment.findById(req.params.id);
       
-      if (!comment) {
+      if (!comment || comment.isDeleted) {
         return res.status(404).json({ message: 'Comment not found' });
       }
       
@@ -33,12 +50,23 @@ router.put(
         return res.status(401).json({ message: 'User not authorized' });
       }
       
+      // Keep the version being replaced, unless this is a quick fix just
+      // after posting
+      if (req.body.content !== comment.content && await recordRevision(comment, 'Comment')) {
+        comment.isEdited = true;
+        comment.editedAt = new Date();
+      }
+      
       // Update comment
       comment.content = req.body.content;
-      comment.isEdited = true;
       
       await comment.save();
       
+      await publish(postChannel(comment.post), 'comment_edited', {
+        comment: comment._id,
+        content: comment.content
+      });
+      
       res.json(comment);
     } catch (err) {
       console.error(err.message);
@@ -52,27 +80,71 @@ router.put(
   }
 );
 
+// @route   GET api/comments/:id/revisions
+// @desc    Get a comment's edit history, with the changes made by each edit
+// @access  Public if the community shares edit history, otherwise moderators only
+router.get('/:id/revisions', optionalAuth, async (req, res) => {
+  try {
+    const comment = await Comment.findById(req.params.id).select('content post isRemoved isDeleted createdAt').lean();
+    
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    
+    const userId = req.user ? req.user.id : null;
+    const community = await getCommentCommunity(comment);
+    if (!community || !canView(community, userId)) {
+      return res.status(403).json({ message: 'This community is private' });
+    }
+    
+    if (!canViewRevisions(community, comment, userId)) {
+      return res.status(403).json({ message: 'Edit history is only visible to moderators' });
+    }
+    
+    res.json({ versions: await getVersions(comment, 'Comment') });
+  } catch (err) {
+    console.error(err.message);
+    
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   DELETE api/comments/:id
-// @desc    Delete a comment
+// @desc    Delete a comment (moderators remove it instead)
 // @access  Private
 router.delete('/:id', auth, async (req, res) => {
   try {
     const comment = await Comment.findById(req.params.id);
     
-    if (!comment) {
+    if (!comment || comment.isDeleted) {
       return res.status(404).json({ message: 'Comment not found' });
     }
     
-    // Check user
+    // Moderators of the community can remove comments they did not write
     if (comment.author.toString() !== req.user.id) {
-      return res.status(401).json({ message: 'User not authorized' });
+      const community = await getCommentCommunity(comment);
+      if (!community || !hasPermission(community, req.user.id, 'posts')) {
+        return res.status(401).json({ message: 'User not authorized' });
+      }
+      
+      await removeContent(comment, { community, moderator: req.user.id, type: 'comment' });
+      
+      return res.json({ message: 'Comment removed' });
     }
     
-    // Delete all votes associated with the comment
-    await Vote.deleteMany({ item: comment._id, itemType: 'comment' });
+    // The comment no longer counts towards the author's karma
+    const community = await getCommentCommunity(comment);
+    await revokeKarma([comment], 'comment', community ? community.name : null);
+    
+    // The comment keeps its place in the thread, shown as [deleted], so its
+    // replies stay attached until the purge job removes it
+    await softDelete(comment);
     
-    // Delete the comment
-    await comment.remove();
+    await publish(postChannel(comment.post), 'comment_deleted', { comment: comment._id });
     
     res.json({ message: 'Comment deleted' });
   } catch (err) {
@@ -86,6 +158,216 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
+// @route   POST api/comments/:id/remove
+// @desc    Remove a comment from its community
+// @access  Private (moderators only)
+router.post('/:id/remove', [auth, ...removalValidators], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array(), message: errors.array()[0].msg });
+  }
+
+  try {
+    const comment = await Comment.findById(req.params.id);
+    
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    
+    const community = await getCommentCommunity(comment);
+    if (!community || !hasPermission(community, req.user.id, 'posts')) {
+      return res.status(401).json({ message: 'User not authorized' });
+    }
+    
+    const reason = getRemovalReason(community, req.body);
+    if (reason === null) {
+      return res.status(400).json({ message: 'Rule not found' });
+    }
+    
+    await removeContent(comment, { community, moderator: req.user.id, reason, type: 'comment' });
+    
+    res.json({ message: 'Comment removed' });
+  } catch (err) {
+    console.error(err.message);
+    
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/comments/:id/approve
+// @desc    Approve a comment, restoring it if it was removed
+// @access  Private (moderators only)
+router.post('/:id/approve', auth, async (req, res) => {
+  try {
+    const comment = await Comment.findById(req.params.id);
+    
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    
+    const community = await getCommentCommunity(comment);
+    if (!community || !hasPermission(community, req.user.id, 'posts')) {
+      return res.status(401).json({ message: 'User not authorized' });
+    }
+    
+    await approveContent(comment, { community, moderator: req.user.id, type: 'comment' });
+    
+    res.json({ message: 'Comment approved' });
+  } catch (err) {
+    console.error(err.message);
+    
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/comments/:id/report
+// @desc    Report a comment for breaking a community rule
+// @access  Private
+router.post('/:id/report', [auth, ...removalValidators], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array(), message: errors.array()[0].msg });
+  }
+
+  try {
+    const comment = await Comment.findById(req.params.id);
+    
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    
+    const community = await getCommentCommunity(comment);
+    if (!community) {
+      return res.status(404).json({ message: 'Community not found' });
+    }
+    
+    if (!canView(community, req.user.id)) {
+      return res.status(403).json({ message: 'This community is private' });
+    }
+    
+    const reason = getRemovalReason(community, req.body);
+    if (reason === null) {
+      return res.status(400).json({ message: 'Rule not found' });
+    }
+    if (!reason) {
+      return res.status(400).json({ message: 'A rule or reason is required' });
+    }
+    
+    const filed = await fileReport(comment, { community, reporter: req.user.id, reason, type: 'comment' });
+    if (!filed) {
+      return res.status(400).json({ message: 'You have already reported this comment' });
+    }
+    
+    res.json({ message: 'Report submitted' });
+  } catch (err) {
+    console.error(err.message);
+    
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/comments/:id/ignore-reports
+// @desc    Ignore the reports on a comment and take it out of the mod queue
+// @access  Private (moderators only)
+router.post('/:id/ignore-reports', auth, async (req, res) => {
+  try {
+    const comment = await Comment.findById(req.params.id);
+    
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    
+    const community = await getCommentCommunity(comment);
+    if (!community || !hasPermission(community, req.user.id, 'posts')) {
+      return res.status(401).json({ message: 'User not authorized' });
+    }
+    
+    const ignored = await ignoreReports(comment, { community, moderator: req.user.id, type: 'comment' });
+    if (!ignored) {
+      return res.status(404).json({ message: 'Comment has no reports' });
+    }
+    
+    res.json({ message: 'Reports ignored' });
+  } catch (err) {
+    console.error(err.message);
+    
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/comments/:id/save
+// @desc    Save a comment
+// @access  Private
+router.post('/:id/save', auth, async (req, res) => {
+  try {
+    const comment = await Comment.findById(req.params.id);
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    
+    const community = await getCommentCommunity(comment);
+    if (!community) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    
+    if (!canView(community, req.user.id)) {
+      return res.status(403).json({ message: 'This community is private' });
+    }
+    
+    // Saving twice is harmless
+    await SavedItem.updateOne(
+      { user: req.user.id, item: comment._id },
+      { $setOnInsert: { itemType: 'Comment', community: community.name } },
+      { upsert: true }
+    );
+    
+    res.json({ message: 'Comment saved' });
+  } catch (err) {
+    console.error(err.message);
+    
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE api/comments/:id/save
+// @desc    Unsave a comment
+// @access  Private
+router.delete('/:id/save', auth, async (req, res) => {
+  try {
+    await SavedItem.deleteOne({ user: req.user.id, item: req.params.id });
+    
+    res.json({ message: 'Comment unsaved' });
+  } catch (err) {
+    console.error(err.message);
+    
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   POST api/comments/:id/vote
 // @desc    Vote on a comment
 // @access  Private
@@ -98,50 +380,42 @@ router.post('/:id/vote', auth, async (req, res) => {
       return res.status(400).json({ message: 'Invalid vote type' });
     }
     
+    // Deleted comments no longer take votes
     const comment = await Comment.findById(req.params.id);
-    if (!comment) {
+    if (!comment || comment.isDeleted) {
       return res.status(404).json({ message: 'Comment not found' });
     }
     
-    // Check if user has already voted
-    let vote = await Vote.findOne({
-      user: req.user.id,
-      item: comment._id,
-      itemType: 'comment'
-    });
+    const community = await getCommentCommunity(comment);
+    if (community && !canView(community, req.user.id)) {
+      return res.status(403).json({ message: 'This community is private' });
+    }
     
-    let voteChange = 0;
+    if (community && await getActiveBan(community, req.user.id)) {
+      return res.status(403).json({ message: 'You are banned from this community' });
+    }
     
-    if (vote) {
-      // User has already voted, update the vote
-      voteChange = voteType - vote.value;
-      
-      if (voteType === 0) {
-        // Remove the vote
-        await vote.remove();
-      } else {
-        // Update the vote
-        vote.value = voteType;
-        await vote.save();
-      }
-    } else if (voteType !== 0) {
-      // User has not voted and is casting a non-zero vote
-      vote = new Vote({
-        user: req.user.id,
-        item: comment._id,
-        itemType: 'comment',
-        value: voteType
-      });
-      
-      await vote.save();
-      voteChange = voteType;
+    // Swap the vote and update the comment's counters atomically
+    const { item: updated, change } = await castVote('comment', comment._id, req.user.id, voteType);
+    if (!updated) {
+      return res.status(404).json({ message: 'Comment not found' });
     }
     
-    // Update comment votes count
-    comment.votes += voteChange;
-    await comment.save();
+    // Votes on your own comment do not earn karma
+    if (comment.author.toString() !== req.user.id) {
+      await applyKarma(comment.author, community ? community.name : null, 'comment', change);
+    }
+    
+    if (change !== 0) {
+      await publish(postChannel(comment.post), 'comment_vote', {
+        comment: comment._id,
+        votes: updated.votes,
+        upvotes: updated.upvotes,
+        downvotes: updated.downvotes
+      });
+    }
     
-    res.json({ votes: comment.votes });
+    res.json({ votes: updated.votes, upvotes: updated.upvotes, downvotes: updated.downvotes });
   } catch (err) {
     console.error(err.message);
     
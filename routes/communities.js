@@ -1,21 +1,72 @@
 
 const express = require('express');
 const router = express.Router();
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
+const jwt = require('jsonwebtoken');
 const Community = require('../models/Community');
 const User = require('../models/User');
+const ModLog = require('../models/ModLog');
+const Report = require('../models/Report');
+const Ban = require('../models/Ban');
+const Post = require('../models/Post');
+const UserFlair = require('../models/UserFlair');
 const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const { paginate, withKeyset, getLimit, MAX_LIMIT, paginationValidators } = require('../utils/pagination');
+const {
+  MODERATOR_PERMISSIONS,
+  isModerator,
+  isCreator,
+  getPermissions,
+  hasPermission,
+  logModAction
+} = require('../utils/moderation');
+const {
+  isMember,
+  canView,
+  visibleCommunityFilter,
+  activeBanFilter,
+  getActiveBan
+} = require('../utils/communityAccess');
+const { findOwnImage, getThumbnailUrl } = require('../utils/media');
+const { FLAIR_FIELDS, findUsableFlair, toFlair } = require('../utils/flair');
+
+const POST_KINDS = Community.schema.path('allowedPostKinds').caster.enumValues;
+
+// Most flair templates of each kind a community can define
+const MAX_FLAIR_TEMPLATES = 50;
+
+const allowedPostKindsValidator = body('allowedPostKinds')
+  .optional()
+  .isArray({ min: 1 })
+  .withMessage('At least one post kind must be allowed')
+  .bail()
+  .custom(kinds => kinds.every(kind => POST_KINDS.includes(kind)))
+  .withMessage(`Post kinds must be among: ${POST_KINDS.join(', ')}`);
 
 // @route   GET api/communities
-// @desc    Get all communities
+// @desc    Get all communities (cursor paginated, alphabetical)
 // @access  Public
-router.get('/', async (req, res) => {
+router.get('/', [optionalAuth, ...paginationValidators], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array(), message: errors.array()[0].msg });
+  }
+
   try {
-    const communities = await Community.find()
-      .sort({ name: 1 })
-      .select('name description type memberCount createdAt');
+    const page = await paginate({
+      sort: [['name', 1], ['_id', 1]],
+      after: req.query.after,
+      before: req.query.before,
+      limit: getLimit(req, 25),
+      fetch: ({ keyset, sort, limit }) => Community.find(withKeyset(visibleCommunityFilter(req.user && req.user.id), keyset))
+        .sort(sort)
+        .limit(limit)
+        .select('name description type memberCount createdAt')
+        .lean()
+    });
     
-    res.json(communities);
+    res.json(page);
   } catch (err) {
     console.error(err.message);
     res.status(500).json({ message: 'Server error' });
@@ -25,11 +76,11 @@ router.get('/', async (req, res) => {
 // @route   GET api/communities/top
 // @desc    Get top communities by member count
 // @access  Public
-router.get('/top', async (req, res) => {
+router.get('/top', optionalAuth, async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 5;
+    const limit = Math.min(parseInt(req.query.limit) || 5, MAX_LIMIT);
     
-    const communities = await Community.find()
+    const communities = await Community.find(visibleCommunityFilter(req.user && req.user.id))
       .sort({ memberCount: -1 })
       .limit(limit)
       .select('name description icon memberCount');
@@ -72,13 +123,41 @@ router.get('/:name', async (req, res) => {
         community.isModerator = community.moderators.some(
           mod => mod._id.toString() === userId
         );
+        community.permissions = getPermissions(community, userId);
+        community.hasModeratorInvite = (community.moderatorInvites || []).some(
+          invite => invite.user.toString() === userId
+        );
       } catch (err) {
         // Invalid token, continue without user context
       }
     }
     
-    // Remove members array from response to reduce payload size
+    // Outsiders only get the basics of a private community, enough to ask to join
+    if (!canView(community, userId)) {
+      const { _id, name, description, icon, banner, type, memberCount, createdAt } = community;
+      
+      return res.json({
+        _id,
+        name,
+        description,
+        icon,
+        banner,
+        type,
+        memberCount,
+        createdAt,
+        isJoined: false,
+        hasRequestedToJoin: Boolean(userId) && (community.joinRequests || []).some(
+          request => request.user.toString() === userId
+        )
+      });
+    }
+    
+    // Remove member and moderator-only lists from response to reduce payload size
     delete community.members;
+    delete community.joinRequests;
+    delete community.approvedSubmitters;
+    delete community.moderatorPermissions;
+    delete community.moderatorInvites;
     
     res.json(community);
   } catch (err) {
@@ -111,6 +190,7 @@ router.post(
     body('type')
       .isIn(['public', 'restricted', 'private'])
       .withMessage('Type must be public, restricted, or private'),
+    allowedPostKindsValidator,
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -119,13 +199,14 @@ router.post(
     }
 
     try {
-      const { name, description, type } = req.body;
+      const { name, description, type, allowedPostKinds } = req.body;
       
       // Create new community
       const newCommunity = new Community({
         name,
         description,
         type,
+        allowedPostKinds,
         creator: req.user.id,
         moderators: [req.user.id],
         members: [req.user.id],
@@ -156,6 +237,21 @@ router.put(
     body('type')
       .isIn(['public', 'restricted', 'private'])
       .withMessage('Type must be public, restricted, or private'),
+    allowedPostKindsValidator,
+    body(['icon', 'banner'])
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage('Icon and banner must be IDs of uploaded images'),
+    body('requirePostFlair')
+      .optional()
+      .isBoolean()
+      .withMessage('requirePostFlair must be true or false')
+      .toBoolean(),
+    body('publicEditHistory')
+      .optional()
+      .isBoolean()
+      .withMessage('publicEditHistory must be true or false')
+      .toBoolean(),
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -170,18 +266,47 @@ router.put(
         return res.status(404).json({ message: 'Community not found' });
       }
       
-      // Check if user is a moderator
-      if (!community.moderators.includes(req.user.id)) {
+      // Settings need the config permission, rules the rules permission
+      const {
+        description,
+        type,
+        rules,
+        allowedPostKinds,
+        requirePostFlair,
+        publicEditHistory
+      } = req.body;
+      
+      if (!hasPermission(community, req.user.id, 'config')) {
         return res.status(401).json({ message: 'User not authorized' });
       }
+      if (rules && !hasPermission(community, req.user.id, 'rules')) {
+        return res.status(401).json({ message: 'User not authorized to edit rules' });
+      }
       
       // Update community fields
-      const { description, type, rules, icon } = req.body;
-      
+
       if (description) community.description = description;
       if (type) community.type = type;
       if (rules) community.rules = rules;
-      if (icon) community.icon = icon;
+      if (allowedPostKinds) community.allowedPostKinds = allowedPostKinds;
+      if (requirePostFlair !== undefined) community.requirePostFlair = requirePostFlair;
+      if (publicEditHistory !== undefined) community.publicEditHistory = publicEditHistory;
+      
+      // Icons and banners are images the moderator uploaded; null clears them
+      for (const field of ['icon', 'banner']) {
+        if (req.body[field] === null) {
+          community[field] = '';
+          community[`${field}Media`] = null;
+        } else if (req.body[field] !== undefined) {
+          const media = await findOwnImage(req.body[field], req.user.id);
+          if (!media) {
+            return res.status(400).json({ message: 'Image not found' });
+          }
+          
+          community[field] = field === 'icon' ? getThumbnailUrl(media, 'small') : media.url;
+          community[`${field}Media`] = media._id;
+        }
+      }
       
       await community.save();
       
@@ -193,6 +318,309 @@ router.put(
   }
 );
 
+// @route   PUT api/communities/:name/rules
+// @desc    Update the rules of a community
+// @access  Private (moderators with the rules permission)
+router.put(
+  '/:name/rules',
+  [
+    auth,
+    body('rules').isArray({ max: 15 }).withMessage('Rules must be a list of at most 15 entries'),
+    body('rules.*')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 500 })
+      .withMessage('Each rule must be between 1 and 500 characters'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), message: errors.array()[0].msg });
+    }
+
+    try {
+      const community = await Community.findOne({ name: req.params.name });
+      
+      if (!community) {
+        return res.status(404).json({ message: 'Community not found' });
+      }
+      
+      if (!hasPermission(community, req.user.id, 'rules')) {
+        return res.status(401).json({ message: 'User not authorized' });
+      }
+      
+      community.rules = req.body.rules;
+      await community.save();
+      
+      res.json(community.rules);
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+const flairValidators = [
+  body('text')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 64 })
+    .withMessage('Flair text must be between 1 and 64 characters'),
+  body('color')
+    .optional()
+    .matches(/^#[0-9a-fA-F]{6}$/)
+    .withMessage('Color must be a hex color such as #ff4500'),
+  body('modOnly')
+    .optional()
+    .isBoolean()
+    .withMessage('modOnly must be true or false')
+    .toBoolean(),
+];
+
+// @route   GET api/communities/:name/flairs
+// @desc    Get the post and user flair templates of a community
+// @access  Public (private communities need membership)
+router.get('/:name/flairs', optionalAuth, async (req, res) => {
+  try {
+    const community = await Community.findOne({ name: req.params.name })
+      .select('type members moderators postFlairs userFlairs requirePostFlair')
+      .lean();
+    
+    if (!community) {
+      return res.status(404).json({ message: 'Community not found' });
+    }
+    
+    if (!canView(community, req.user ? req.user.id : null)) {
+      return res.status(403).json({ message: 'This community is private' });
+    }
+    
+    const { postFlairs, userFlairs, requirePostFlair } = community;
+    
+    res.json({ postFlairs, userFlairs, requirePostFlair });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/communities/:name/flairs/:kind
+// @desc    Add a post or user flair template
+// @access  Private (moderators with the config permission)
+router.post('/:name/flairs/:kind(post|user)', [auth, ...flairValidators], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array(), message: errors.array()[0].msg });
+  }
+
+  try {
+    const community = await Community.findOne({ name: req.params.name });
+    
+    if (!community) {
+      return res.status(404).json({ message: 'Community not found' });
+    }
+    
+    if (!hasPermission(community, req.user.id, 'config')) {
+      return res.status(401).json({ message: 'User not authorized' });
+    }
+    
+    const templates = community[FLAIR_FIELDS[req.params.kind]];
+    if (templates.length >= MAX_FLAIR_TEMPLATES) {
+      return res.status(400).json({ message: `Communities can have at most ${MAX_FLAIR_TEMPLATES} flairs of each kind` });
+    }
+    
+    const { text, color, modOnly } = req.body;
+    templates.push({ text, color, modOnly });
+    await community.save();
+    
+    res.status(201).json(templates[templates.length - 1]);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT api/communities/:name/flairs/:kind/:flairId
+// @desc    Update a flair template, and the posts or users wearing it
+// @access  Private (moderators with the config permission)
+router.put('/:name/flairs/:kind(post|user)/:flairId', [auth, ...flairValidators], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array(), message: errors.array()[0].msg });
+  }
+
+  try {
+    const community = await Community.findOne({ name: req.params.name });
+    
+    if (!community) {
+      return res.status(404).json({ message: 'Community not found' });
+    }
+    
+    if (!hasPermission(community, req.user.id, 'config')) {
+      return res.status(401).json({ message: 'User not authorized' });
+    }
+    
+    const template = community[FLAIR_FIELDS[req.params.kind]].id(req.params.flairId);
+    if (!template) {
+      return res.status(404).json({ message: 'Flair not found' });
+    }
+    
+    const { text, color, modOnly } = req.body;
+    template.text = text;
+    if (color !== undefined) template.color = color;
+    if (modOnly !== undefined) template.modOnly = modOnly;
+    
+    await community.save();
+    
+    // Posts and users keep a copy of the flair
+    const update = { text: template.text, color: template.color };
+    if (req.params.kind === 'post') {
+      await Post.updateMany(
+        { community: community.name, 'flair.template': template._id },
+        { 'flair.text': update.text, 'flair.color': update.color }
+      );
+    } else {
+      await UserFlair.updateMany({ community: community.name, template: template._id }, update);
+    }
+    
+    res.json(template);
+  } catch (err) {
+    console.error(err.message);
+    
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Flair not found' });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE api/communities/:name/flairs/:kind/:flairId
+// @desc    Delete a flair template and take it off posts or users
+// @access  Private (moderators with the config permission)
+router.delete('/:name/flairs/:kind(post|user)/:flairId', auth, async (req, res) => {
+  try {
+    const community = await Community.findOne({ name: req.params.name });
+    
+    if (!community) {
+      return res.status(404).json({ message: 'Community not found' });
+    }
+    
+    if (!hasPermission(community, req.user.id, 'config')) {
+      return res.status(401).json({ message: 'User not authorized' });
+    }
+    
+    const template = community[FLAIR_FIELDS[req.params.kind]].id(req.params.flairId);
+    if (!template) {
+      return res.status(404).json({ message: 'Flair not found' });
+    }
+    
+    template.deleteOne();
+    await community.save();
+    
+    if (req.params.kind === 'post') {
+      await Post.updateMany(
+        { community: community.name, 'flair.template': template._id },
+        { $unset: { flair: '' } }
+      );
+    } else {
+      await UserFlair.deleteMany({ community: community.name, template: template._id });
+    }
+    
+    res.json({ message: 'Flair deleted' });
+  } catch (err) {
+    console.error(err.message);
+    
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Flair not found' });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT api/communities/:name/user-flair
+// @desc    Set (flairId) or clear (null) the current user's flair
+// @access  Private
+router.put(
+  '/:name/user-flair',
+  [
+    auth,
+    body('flairId').optional({ nullable: true }).isMongoId().withMessage('Flair must be a valid ID'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), message: errors.array()[0].msg });
+    }
+
+    try {
+      const community = await Community.findOne({ name: req.params.name });
+      
+      if (!community) {
+        return res.status(404).json({ message: 'Community not found' });
+      }
+      
+      if (!canView(community, req.user.id)) {
+        return res.status(403).json({ message: 'This community is private' });
+      }
+      
+      const flair = await setUserFlair(community, req.user.id, req.body.flairId, req.user.id);
+      if (flair === undefined) {
+        return res.status(400).json({ message: 'Flair not found' });
+      }
+      
+      res.json({ flair });
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   PUT api/communities/:name/user-flair/:username
+// @desc    Set (flairId) or clear (null) another user's flair
+// @access  Private (moderators with the members permission)
+router.put(
+  '/:name/user-flair/:username',
+  [
+    auth,
+    body('flairId').optional({ nullable: true }).isMongoId().withMessage('Flair must be a valid ID'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), message: errors.array()[0].msg });
+    }
+
+    try {
+      const community = await Community.findOne({ name: req.params.name });
+      
+      if (!community) {
+        return res.status(404).json({ message: 'Community not found' });
+      }
+      
+      if (!hasPermission(community, req.user.id, 'members')) {
+        return res.status(401).json({ message: 'User not authorized' });
+      }
+      
+      const user = await User.findOne({ username: req.params.username }).select('_id');
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      
+      const flair = await setUserFlair(community, user._id, req.body.flairId, req.user.id);
+      if (flair === undefined) {
+        return res.status(400).json({ message: 'Flair not found' });
+      }
+      
+      res.json({ flair });
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
 // @route   POST api/communities/:name/join
 // @desc    Join a community
 // @access  Private
@@ -209,6 +637,29 @@ router.post('/:name/join', auth, async (req, res) => {
       return res.status(400).json({ message: 'User is already a member' });
     }
     
+    if (await getActiveBan(community, req.user.id)) {
+      return res.status(403).json({ message: 'You are banned from this community' });
+    }
+    
+    // Private communities need a moderator to approve the request first
+    if (community.type === 'private') {
+      const hasRequested = community.joinRequests.some(
+        request => request.user.toString() === req.user.id
+      );
+      if (hasRequested) {
+        return res.status(400).json({ message: 'Join request already sent' });
+      }
+      
+      community.joinRequests.push({
+        user: req.user.id,
+        message: typeof req.body.message === 'string' ? req.body.message.slice(0, 500) : ''
+      });
+      
+      await community.save();
+      
+      return res.status(202).json({ message: 'Join request sent' });
+    }
+    
     // Add user to members
     community.members.push(req.user.id);
     community.memberCount += 1;
@@ -238,9 +689,9 @@ router.post('/:name/leave', auth, async (req, res) => {
       return res.status(400).json({ message: 'User is not a member' });
     }
     
-    // Check if user is the creator
+    // The creator has to hand ownership to another moderator first
     if (community.creator.toString() === req.user.id) {
-      return res.status(400).json({ message: 'Creator cannot leave the community' });
+      return res.status(400).json({ message: 'Creator cannot leave the community; transfer ownership first' });
     }
     
     // Remove user from members
@@ -254,6 +705,9 @@ router.post('/:name/leave', auth, async (req, res) => {
       community.moderators = community.moderators.filter(
         modId => modId.toString() !== req.user.id
       );
+      community.moderatorPermissions = community.moderatorPermissions.filter(
+        entry => entry.user.toString() !== req.user.id
+      );
     }
     
     await community.save();
@@ -265,4 +719,1013 @@ router.post('/:name/leave', auth, async (req, res) => {
   }
 });
 
+// Validator for an optional list of moderator permissions
+const permissionsValidator = body('permissions')
+  .optional()
+  .isArray()
+  .withMessage('Permissions must be a list')
+  .custom(value => value.every(permission => MODERATOR_PERMISSIONS.includes(permission)))
+  .withMessage(`Permissions can only include: ${MODERATOR_PERMISSIONS.join(', ')}`);
+
+// @route   GET api/communities/:name/moderators
+// @desc    Get moderators with their permissions and pending invites
+// @access  Private (moderators only)
+router.get('/:name/moderators', auth, async (req, res) => {
+  try {
+    const community = await Community.findOne({ name: req.params.name })
+      .populate('moderators', 'username avatar')
+      .populate('moderatorInvites.user', 'username avatar')
+      .lean();
+    
+    if (!community) {
+      return res.status(404).json({ message: 'Community not found' });
+    }
+    
+    if (!isModerator(community, req.user.id)) {
+      return res.status(401).json({ message: 'User not authorized' });
+    }
+    
+    res.json({
+      moderators: community.moderators.map(mod => ({
+        ...mod,
+        isCreator: isCreator(community, mod._id.toString()),
+        permissions: getPermissions(community, mod._id.toString())
+      })),
+      invites: community.moderatorInvites || []
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/communities/:name/moderators/invite
+// @desc    Invite a user to moderate a community
+// @access  Private (creator only)
+router.post(
+  '/:name/moderators/invite',
+  [
+    auth,
+    body('username').not().isEmpty().withMessage('Username is required').trim(),
+    permissionsValidator,
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), message: errors.array()[0].msg });
+    }
+
+    try {
+      const community = await Community.findOne({ name: req.params.name });
+      
+      if (!community) {
+        return res.status(404).json({ message: 'Community not found' });
+      }
+      
+      if (!isCreator(community, req.user.id)) {
+        return res.status(401).json({ message: 'User not authorized' });
+      }
+      
+      const user = await User.findOne({ username: req.body.username }).select('_id');
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      
+      if (community.moderators.includes(user._id)) {
+        return res.status(400).json({ message: 'User is already a moderator' });
+      }
+      
+      if (community.moderatorInvites.some(invite => invite.user.toString() === user._id.toString())) {
+        return res.status(400).json({ message: 'User has already been invited' });
+      }
+      
+      community.moderatorInvites.push({
+        user: user._id,
+        permissions: req.body.permissions || MODERATOR_PERMISSIONS,
+        invitedBy: req.user.id
+      });
+      
+      await community.save();
+      
+      await logModAction({
+        community,
+        moderator: req.user.id,
+        action: 'invite_moderator',
+        target: user._id,
+        targetType: 'User',
+        targetUser: user._id
+      });
+      
+      res.json({ message: 'Moderator invite sent' });
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   POST api/communities/:name/moderators/invite/:decision
+// @desc    Accept or decline an invite to moderate a community
+// @access  Private (invitee only)
+router.post('/:name/moderators/invite/:decision(accept|decline)', auth, async (req, res) => {
+  try {
+    const community = await Community.findOne({ name: req.params.name });
+    
+    if (!community) {
+      return res.status(404).json({ message: 'Community not found' });
+    }
+    
+    const invite = community.moderatorInvites.find(
+      item => item.user.toString() === req.user.id
+    );
+    
+    if (!invite) {
+      return res.status(404).json({ message: 'Moderator invite not found' });
+    }
+    
+    const accepted = req.params.decision === 'accept';
+    
+    community.moderatorInvites.pull(invite._id);
+    
+    if (accepted) {
+      community.moderators.push(req.user.id);
+      community.moderatorPermissions.push({ user: req.user.id, permissions: invite.permissions });
+      
+      // Moderators are always members
+      if (!community.members.includes(req.user.id)) {
+        community.members.push(req.user.id);
+        community.memberCount += 1;
+      }
+    }
+    
+    await community.save();
+    
+    await logModAction({
+      community,
+      moderator: req.user.id,
+      action: accepted ? 'accept_moderator_invite' : 'decline_moderator_invite',
+      target: req.user.id,
+      targetType: 'User',
+      targetUser: req.user.id
+    });
+    
+    res.json({ message: accepted ? 'Moderator invite accepted' : 'Moderator invite declined' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT api/communities/:name/moderators/:username/permissions
+// @desc    Change a moderator's permissions
+// @access  Private (creator only)
+router.put(
+  '/:name/moderators/:username/permissions',
+  [
+    auth,
+    body('permissions').exists().withMessage('Permissions are required'),
+    permissionsValidator,
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), message: errors.array()[0].msg });
+    }
+
+    try {
+      const community = await Community.findOne({ name: req.params.name });
+      
+      if (!community) {
+        return res.status(404).json({ message: 'Community not found' });
+      }
+      
+      if (!isCreator(community, req.user.id)) {
+        return res.status(401).json({ message: 'User not authorized' });
+      }
+      
+      const user = await User.findOne({ username: req.params.username }).select('_id');
+      if (!user || !community.moderators.includes(user._id)) {
+        return res.status(404).json({ message: 'Moderator not found' });
+      }
+      
+      if (isCreator(community, user._id.toString())) {
+        return res.status(400).json({ message: 'The creator always has every permission' });
+      }
+      
+      const entry = community.moderatorPermissions.find(
+        item => item.user.toString() === user._id.toString()
+      );
+      
+      if (entry) {
+        entry.permissions = req.body.permissions;
+      } else {
+        community.moderatorPermissions.push({ user: user._id, permissions: req.body.permissions });
+      }
+      
+      await community.save();
+      
+      await logModAction({
+        community,
+        moderator: req.user.id,
+        action: 'update_moderator_permissions',
+        target: user._id,
+        targetType: 'User',
+        targetUser: user._id,
+        reason: req.body.permissions.join(', ')
+      });
+      
+      res.json({ permissions: req.body.permissions });
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   DELETE api/communities/:name/moderators/:username
+// @desc    Remove a moderator (the creator can remove anyone, moderators can step down)
+// @access  Private
+router.delete('/:name/moderators/:username', auth, async (req, res) => {
+  try {
+    const community = await Community.findOne({ name: req.params.name });
+    
+    if (!community) {
+      return res.status(404).json({ message: 'Community not found' });
+    }
+    
+    const user = await User.findOne({ username: req.params.username }).select('_id');
+    if (!user || !community.moderators.includes(user._id)) {
+      return res.status(404).json({ message: 'Moderator not found' });
+    }
+    
+    const userId = user._id.toString();
+    
+    if (!isCreator(community, req.user.id) && userId !== req.user.id) {
+      return res.status(401).json({ message: 'User not authorized' });
+    }
+    
+    if (isCreator(community, userId)) {
+      return res.status(400).json({ message: 'The creator cannot be removed; transfer ownership first' });
+    }
+    
+    community.moderators.pull(user._id);
+    community.moderatorPermissions = community.moderatorPermissions.filter(
+      entry => entry.user.toString() !== userId
+    );
+    
+    await community.save();
+    
+    await logModAction({
+      community,
+      moderator: req.user.id,
+      action: 'remove_moderator',
+      target: user._id,
+      targetType: 'User',
+      targetUser: user._id
+    });
+    
+    res.json({ message: 'Moderator removed' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/communities/:name/transfer
+// @desc    Transfer ownership of a community to another moderator
+// @access  Private (creator only)
+router.post(
+  '/:name/transfer',
+  [
+    auth,
+    body('username').not().isEmpty().withMessage('Username is required').trim(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), message: errors.array()[0].msg });
+    }
+
+    try {
+      const community = await Community.findOne({ name: req.params.name });
+      
+      if (!community) {
+        return res.status(404).json({ message: 'Community not found' });
+      }
+      
+      if (!isCreator(community, req.user.id)) {
+        return res.status(401).json({ message: 'User not authorized' });
+      }
+      
+      const user = await User.findOne({ username: req.body.username }).select('_id');
+      if (!user || !community.moderators.includes(user._id)) {
+        return res.status(400).json({ message: 'Ownership can only be transferred to a moderator' });
+      }
+      
+      if (user._id.toString() === req.user.id) {
+        return res.status(400).json({ message: 'You already own this community' });
+      }
+      
+      // The new owner gets every permission; the previous owner stays on as
+      // a moderator with full permissions and is free to leave
+      community.creator = user._id;
+      community.moderatorPermissions = community.moderatorPermissions.filter(
+        entry => entry.user.toString() !== user._id.toString() && entry.user.toString() !== req.user.id
+      );
+      community.moderatorPermissions.push({ user: req.user.id, permissions: MODERATOR_PERMISSIONS });
+      
+      await community.save();
+      
+      await logModAction({
+        community,
+        moderator: req.user.id,
+        action: 'transfer_ownership',
+        target: user._id,
+        targetType: 'User',
+        targetUser: user._id
+      });
+      
+      res.json({ message: 'Ownership transferred' });
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   GET api/communities/:name/join-requests
+// @desc    Get pending requests to join a private community
+// @access  Private (moderators only)
+router.get('/:name/join-requests', auth, async (req, res) => {
+  try {
+    const community = await Community.findOne({ name: req.params.name })
+      .populate('joinRequests.user', 'username avatar')
+      .lean();
+    
+    if (!community) {
+      return res.status(404).json({ message: 'Community not found' });
+    }
+    
+    if (!hasPermission(community, req.user.id, 'members')) {
+      return res.status(401).json({ message: 'User not authorized' });
+    }
+    
+    res.json(community.joinRequests);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/communities/:name/join-requests/:username/:decision
+// @desc    Approve or deny a request to join a private community
+// @access  Private (moderators only)
+router.post('/:name/join-requests/:username/:decision(approve|deny)', auth, async (req, res) => {
+  try {
+    const community = await Community.findOne({ name: req.params.name });
+    
+    if (!community) {
+      return res.status(404).json({ message: 'Community not found' });
+    }
+    
+    if (!hasPermission(community, req.user.id, 'members')) {
+      return res.status(401).json({ message: 'User not authorized' });
+    }
+    
+    const user = await User.findOne({ username: req.params.username }).select('_id');
+    const request = user && community.joinRequests.find(
+      joinRequest => joinRequest.user.toString() === user._id.toString()
+    );
+    
+    if (!request) {
+      return res.status(404).json({ message: 'Join request not found' });
+    }
+    
+    const approved = req.params.decision === 'approve';
+    
+    community.joinRequests.pull(request._id);
+    if (approved && !isMember(community, user._id.toString())) {
+      community.members.push(user._id);
+      community.memberCount += 1;
+    }
+    
+    await community.save();
+    
+    await logModAction({
+      community,
+      moderator: req.user.id,
+      action: approved ? 'approve_join_request' : 'deny_join_request',
+      target: user._id,
+      targetType: 'User',
+      targetUser: user._id
+    });
+    
+    res.json({ message: approved ? 'Join request approved' : 'Join request denied' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/communities/:name/approved-submitters
+// @desc    Get the users allowed to post in a restricted community
+// @access  Private (moderators only)
+router.get('/:name/approved-submitters', auth, async (req, res) => {
+  try {
+    const community = await Community.findOne({ name: req.params.name })
+      .populate('approvedSubmitters', 'username avatar')
+      .lean();
+    
+    if (!community) {
+      return res.status(404).json({ message: 'Community not found' });
+    }
+    
+    if (!hasPermission(community, req.user.id, 'members')) {
+      return res.status(401).json({ message: 'User not authorized' });
+    }
+    
+    res.json(community.approvedSubmitters);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/communities/:name/approved-submitters
+// @desc    Allow a user to post in a restricted community
+// @access  Private (moderators only)
+router.post(
+  '/:name/approved-submitters',
+  [
+    auth,
+    body('username').not().isEmpty().withMessage('Username is required').trim(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), message: errors.array()[0].msg });
+    }
+
+    try {
+      const community = await Community.findOne({ name: req.params.name });
+      
+      if (!community) {
+        return res.status(404).json({ message: 'Community not found' });
+      }
+      
+      if (!hasPermission(community, req.user.id, 'members')) {
+        return res.status(401).json({ message: 'User not authorized' });
+      }
+      
+      const user = await User.findOne({ username: req.body.username }).select('_id');
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      
+      if (community.approvedSubmitters.includes(user._id)) {
+        return res.status(400).json({ message: 'User is already an approved submitter' });
+      }
+      
+      community.approvedSubmitters.push(user._id);
+      await community.save();
+      
+      await logModAction({
+        community,
+        moderator: req.user.id,
+        action: 'add_approved_submitter',
+        target: user._id,
+        targetType: 'User',
+        targetUser: user._id
+      });
+      
+      res.json({ message: 'Approved submitter added' });
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   DELETE api/communities/:name/approved-submitters/:username
+// @desc    Stop a user from posting in a restricted community
+// @access  Private (moderators only)
+router.delete('/:name/approved-submitters/:username', auth, async (req, res) => {
+  try {
+    const community = await Community.findOne({ name: req.params.name });
+    
+    if (!community) {
+      return res.status(404).json({ message: 'Community not found' });
+    }
+    
+    if (!hasPermission(community, req.user.id, 'members')) {
+      return res.status(401).json({ message: 'User not authorized' });
+    }
+    
+    const user = await User.findOne({ username: req.params.username }).select('_id');
+    if (!user || !community.approvedSubmitters.includes(user._id)) {
+      return res.status(404).json({ message: 'Approved submitter not found' });
+    }
+    
+    community.approvedSubmitters.pull(user._id);
+    await community.save();
+    
+    await logModAction({
+      community,
+      moderator: req.user.id,
+      action: 'remove_approved_submitter',
+      target: user._id,
+      targetType: 'User',
+      targetUser: user._id
+    });
+    
+    res.json({ message: 'Approved submitter removed' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/communities/:name/mutes
+// @desc    Get the users muted from messaging the moderators
+// @access  Private (moderators only)
+router.get('/:name/mutes', auth, async (req, res) => {
+  try {
+    const community = await Community.findOne({ name: req.params.name })
+      .populate('mutedUsers', 'username avatar')
+      .lean();
+    
+    if (!community) {
+      return res.status(404).json({ message: 'Community not found' });
+    }
+    
+    if (!hasPermission(community, req.user.id, 'members')) {
+      return res.status(401).json({ message: 'User not authorized' });
+    }
+    
+    res.json(community.mutedUsers);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/communities/:name/mutes
+// @desc    Mute a user from messaging the moderators
+// @access  Private (moderators only)
+router.post(
+  '/:name/mutes',
+  [
+    auth,
+    body('username').not().isEmpty().withMessage('Username is required').trim(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), message: errors.array()[0].msg });
+    }
+
+    try {
+      const community = await Community.findOne({ name: req.params.name });
+      
+      if (!community) {
+        return res.status(404).json({ message: 'Community not found' });
+      }
+      
+      if (!hasPermission(community, req.user.id, 'members')) {
+        return res.status(401).json({ message: 'User not authorized' });
+      }
+      
+      const user = await User.findOne({ username: req.body.username }).select('_id');
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      
+      if (isModerator(community, user._id.toString())) {
+        return res.status(400).json({ message: 'Moderators cannot be muted' });
+      }
+      
+      if (community.mutedUsers.includes(user._id)) {
+        return res.status(400).json({ message: 'User is already muted' });
+      }
+      
+      community.mutedUsers.push(user._id);
+      await community.save();
+      
+      await logModAction({
+        community,
+        moderator: req.user.id,
+        action: 'mute_user',
+        target: user._id,
+        targetType: 'User',
+        targetUser: user._id
+      });
+      
+      res.json({ message: 'User muted' });
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   DELETE api/communities/:name/mutes/:username
+// @desc    Unmute a user
+// @access  Private (moderators only)
+router.delete('/:name/mutes/:username', auth, async (req, res) => {
+  try {
+    const community = await Community.findOne({ name: req.params.name });
+    
+    if (!community) {
+      return res.status(404).json({ message: 'Community not found' });
+    }
+    
+    if (!hasPermission(community, req.user.id, 'members')) {
+      return res.status(401).json({ message: 'User not authorized' });
+    }
+    
+    const user = await User.findOne({ username: req.params.username }).select('_id');
+    if (!user || !community.mutedUsers.includes(user._id)) {
+      return res.status(404).json({ message: 'Muted user not found' });
+    }
+    
+    community.mutedUsers.pull(user._id);
+    await community.save();
+    
+    await logModAction({
+      community,
+      moderator: req.user.id,
+      action: 'unmute_user',
+      target: user._id,
+      targetType: 'User',
+      targetUser: user._id
+    });
+    
+    res.json({ message: 'User unmuted' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/communities/:name/bans/me
+// @desc    Get the current user's ban from a community, if any
+// @access  Private
+router.get('/:name/bans/me', auth, async (req, res) => {
+  try {
+    const community = await Community.findOne({ name: req.params.name });
+    
+    if (!community) {
+      return res.status(404).json({ message: 'Community not found' });
+    }
+    
+    const ban = await getActiveBan(community, req.user.id)
+      .select('reason expiresAt createdAt')
+      .lean();
+    
+    if (!ban) {
+      return res.status(404).json({ message: 'You are not banned from this community' });
+    }
+    
+    res.json({ ...ban, isPermanent: ban.expiresAt === null });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/communities/:name/bans
+// @desc    Get the users banned from a community
+// @access  Private (moderators with the members permission)
+router.get('/:name/bans', [auth, ...paginationValidators], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array(), message: errors.array()[0].msg });
+  }
+
+  try {
+    const community = await Community.findOne({ name: req.params.name });
+    
+    if (!community) {
+      return res.status(404).json({ message: 'Community not found' });
+    }
+    
+    if (!hasPermission(community, req.user.id, 'members')) {
+      return res.status(401).json({ message: 'User not authorized' });
+    }
+    
+    const filter = { community: community._id, ...activeBanFilter() };
+    
+    const page = await paginate({
+      sort: [['createdAt', -1], ['_id', -1]],
+      after: req.query.after,
+      before: req.query.before,
+      limit: getLimit(req, 25),
+      fetch: ({ keyset, sort, limit }) => Ban.find(withKeyset(filter, keyset))
+        .sort(sort)
+        .limit(limit)
+        .populate('user', 'username avatar')
+        .populate('bannedBy', 'username')
+        .lean()
+    });
+    
+    res.json(page);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/communities/:name/bans
+// @desc    Ban a user from a community, permanently or for a number of days
+// @access  Private (moderators with the members permission)
+router.post(
+  '/:name/bans',
+  [
+    auth,
+    body('username').not().isEmpty().withMessage('Username is required').trim(),
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ max: 300 })
+      .withMessage('Reason cannot exceed 300 characters'),
+    body('note')
+      .optional()
+      .trim()
+      .isLength({ max: 300 })
+      .withMessage('Note cannot exceed 300 characters'),
+    body('duration')
+      .optional({ nullable: true })
+      .isInt({ min: 1, max: 999 })
+      .withMessage('Duration must be between 1 and 999 days')
+      .toInt(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), message: errors.array()[0].msg });
+    }
+
+    try {
+      const community = await Community.findOne({ name: req.params.name });
+      
+      if (!community) {
+        return res.status(404).json({ message: 'Community not found' });
+      }
+      
+      if (!hasPermission(community, req.user.id, 'members')) {
+        return res.status(401).json({ message: 'User not authorized' });
+      }
+      
+      const user = await User.findOne({ username: req.body.username }).select('_id');
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      
+      if (isModerator(community, user._id.toString())) {
+        return res.status(400).json({ message: 'Moderators cannot be banned' });
+      }
+      
+      const { reason, note, duration } = req.body;
+      const expiresAt = duration ? new Date(Date.now() + duration * 24 * 60 * 60 * 1000) : null;
+      
+      // Banning an already banned user replaces the previous ban
+      const ban = await Ban.findOneAndUpdate(
+        { community: community._id, user: user._id },
+        {
+          reason: reason || '',
+          note: note || '',
+          bannedBy: req.user.id,
+          expiresAt,
+          createdAt: Date.now()
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+      
+      await logModAction({
+        community,
+        moderator: req.user.id,
+        action: 'ban_user',
+        target: user._id,
+        targetType: 'User',
+        targetUser: user._id,
+        reason: [duration ? `${duration} days` : 'permanent', reason].filter(Boolean).join(': ')
+      });
+      
+      res.json(ban);
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   DELETE api/communities/:name/bans/:username
+// @desc    Lift a user's ban from a community
+// @access  Private (moderators with the members permission)
+router.delete('/:name/bans/:username', auth, async (req, res) => {
+  try {
+    const community = await Community.findOne({ name: req.params.name });
+    
+    if (!community) {
+      return res.status(404).json({ message: 'Community not found' });
+    }
+    
+    if (!hasPermission(community, req.user.id, 'members')) {
+      return res.status(401).json({ message: 'User not authorized' });
+    }
+    
+    const user = await User.findOne({ username: req.params.username }).select('_id');
+    const result = user
+      ? await Ban.deleteOne({ community: community._id, user: user._id })
+      : { deletedCount: 0 };
+    
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: 'Ban not found' });
+    }
+    
+    await logModAction({
+      community,
+      moderator: req.user.id,
+      action: 'unban_user',
+      target: user._id,
+      targetType: 'User',
+      targetUser: user._id
+    });
+    
+    res.json({ message: 'User unbanned' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/communities/:name/modlog
+// @desc    Get the moderation log of a community
+// @access  Private (moderators only)
+router.get(
+  '/:name/modlog',
+  [
+    auth,
+    query('action')
+      .optional()
+      .isIn(ModLog.schema.path('action').enumValues)
+      .withMessage('Invalid action type'),
+    query('from').optional().isISO8601().withMessage('From must be a valid date'),
+    query('to').optional().isISO8601().withMessage('To must be a valid date'),
+    ...paginationValidators,
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), message: errors.array()[0].msg });
+    }
+
+    try {
+      const community = await Community.findOne({ name: req.params.name });
+      
+      if (!community) {
+        return res.status(404).json({ message: 'Community not found' });
+      }
+      
+      if (!isModerator(community, req.user.id)) {
+        return res.status(401).json({ message: 'User not authorized' });
+      }
+      
+      const filter = { community: community._id };
+      
+      if (req.query.moderator) {
+        const moderator = await User.findOne({ username: req.query.moderator }).select('_id');
+        if (!moderator) {
+          return res.json({ items: [], nextCursor: null, prevCursor: null });
+        }
+        filter.moderator = moderator._id;
+      }
+      
+      if (req.query.action) {
+        filter.action = req.query.action;
+      }
+      
+      if (req.query.from || req.query.to) {
+        filter.createdAt = {};
+        if (req.query.from) filter.createdAt.$gte = new Date(req.query.from);
+        if (req.query.to) filter.createdAt.$lte = new Date(req.query.to);
+      }
+      
+      const page = await paginate({
+        sort: [['createdAt', -1], ['_id', -1]],
+        after: req.query.after,
+        before: req.query.before,
+        limit: getLimit(req, 25),
+        fetch: ({ keyset, sort, limit }) => ModLog.find(withKeyset(filter, keyset))
+          .sort(sort)
+          .limit(limit)
+          .populate('moderator', 'username')
+          .populate('targetUser', 'username')
+          .lean()
+      });
+      
+      res.json(page);
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   GET api/communities/:name/modqueue
+// @desc    Get reported posts and comments awaiting review
+// @access  Private (moderators only)
+router.get(
+  '/:name/modqueue',
+  [
+    auth,
+    query('type')
+      .optional()
+      .isIn(['post', 'comment'])
+      .withMessage('Type must be post or comment'),
+    ...paginationValidators,
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), message: errors.array()[0].msg });
+    }
+
+    try {
+      const community = await Community.findOne({ name: req.params.name });
+      
+      if (!community) {
+        return res.status(404).json({ message: 'Community not found' });
+      }
+      
+      if (!hasPermission(community, req.user.id, 'posts')) {
+        return res.status(401).json({ message: 'User not authorized' });
+      }
+      
+      const filter = { community: community._id, isIgnored: false };
+      
+      if (req.query.type) {
+        filter.itemType = req.query.type === 'post' ? 'Post' : 'Comment';
+      }
+      
+      const page = await paginate({
+        sort: [['lastReportedAt', -1], ['_id', -1]],
+        after: req.query.after,
+        before: req.query.before,
+        limit: getLimit(req, 25),
+        fetch: ({ keyset, sort, limit }) => Report.find(withKeyset(filter, keyset))
+          .sort(sort)
+          .limit(limit)
+          .populate({ path: 'item', populate: { path: 'author', select: 'username' } })
+          .lean()
+      });
+      
+      // Group the reasons so moderators see how often each was given,
+      // without exposing who reported
+      page.items = page.items.map(({ reports, ...entry }) => {
+        const reasonCounts = {};
+        reports.forEach(report => {
+          reasonCounts[report.reason] = (reasonCounts[report.reason] || 0) + 1;
+        });
+        
+        return {
+          ...entry,
+          reasons: Object.entries(reasonCounts)
+            .map(([reason, count]) => ({ reason, count }))
+            .sort((a, b) => b.count - a.count)
+        };
+      });
+      
+      res.json(page);
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Helper function to give a user a flair template (or take their flair away
+// when flairId is null), as chosen by `actorId`. Returns the new flair, null
+// when cleared, or undefined when the template cannot be used.
+async function setUserFlair(community, userId, flairId, actorId) {
+  if (!flairId) {
+    await UserFlair.deleteOne({ community: community.name, user: userId });
+    return null;
+  }
+  
+  const template = findUsableFlair(community, 'user', flairId, actorId);
+  if (!template) {
+    return undefined;
+  }
+  
+  const { text, color } = toFlair(template);
+  await UserFlair.updateOne(
+    { community: community.name, user: userId },
+    { template: template._id, text, color },
+    { upsert: true }
+  );
+  
+  return { text, color };
+}
+
 module.exports = router;
@@ -0,0 +1,77 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const Media = require('../models/Media');
+const auth = require('../middleware/auth');
+const { IMAGE_FORMATS, MAX_UPLOAD_SIZE, storeImage } = require('../utils/media');
+
+// Files are kept in memory until they have been checked and re-encoded
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!Object.values(IMAGE_FORMATS).includes(file.mimetype)) {
+      return cb(new Error('Only JPEG, PNG, WebP and GIF images can be uploaded'));
+    }
+    cb(null, true);
+  }
+}).single('file');
+
+// Run the upload, answering 400 for files that are rejected
+function handleUpload(req, res, next) {
+  upload(req, res, err => {
+    if (err) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? `Files cannot exceed ${MAX_UPLOAD_SIZE / (1024 * 1024)} MB`
+        : err.message;
+      return res.status(400).json({ message });
+    }
+    next();
+  });
+}
+
+// @route   POST api/media
+// @desc    Upload an image (multipart field "file")
+// @access  Private
+router.post('/', [auth, handleUpload], async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'File is required' });
+    }
+    
+    const media = await storeImage(req.file.buffer, req.user.id);
+    if (!media) {
+      return res.status(400).json({ message: 'File is not a supported image' });
+    }
+    
+    res.status(201).json(media);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/media/:id
+// @desc    Get an uploaded image and its thumbnails
+// @access  Public
+router.get('/:id', async (req, res) => {
+  try {
+    const media = await Media.findById(req.params.id).select('-key -thumbnails.key');
+    
+    if (!media) {
+      return res.status(404).json({ message: 'Media not found' });
+    }
+    
+    res.json(media);
+  } catch (err) {
+    console.error(err.message);
+    
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Media not found' });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,479 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Community = require('../models/Community');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { paginate, withKeyset, getLimit, paginationValidators } = require('../utils/pagination');
+const { isModerator } = require('../utils/moderation');
+const { isBlockedBetween } = require('../utils/blocks');
+const { DELETED_USERNAME, isDeletedUser } = require('../utils/deletedUser');
+
+const NEWEST_FIRST = [['createdAt', -1], ['_id', -1]];
+const RECENT_CONVERSATIONS_FIRST = [['lastMessageAt', -1], ['_id', -1]];
+
+const subjectValidator = body('subject')
+  .trim()
+  .isLength({ min: 1, max: 100 })
+  .withMessage('Subject must be between 1 and 100 characters');
+
+const bodyValidator = body('body')
+  .trim()
+  .isLength({ min: 1, max: 10000 })
+  .withMessage('Message must be between 1 and 10000 characters');
+
+// @route   POST api/messages
+// @desc    Start a conversation with another user
+// @access  Private
+router.post(
+  '/',
+  [
+    auth,
+    body('to').not().isEmpty().withMessage('Recipient is required').trim(),
+    subjectValidator,
+    bodyValidator,
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), message: errors.array()[0].msg });
+    }
+
+    try {
+      const recipient = await User.findOne({ username: req.body.to }).select('_id');
+      
+      if (!recipient || req.body.to === DELETED_USERNAME) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      
+      if (recipient._id.toString() === req.user.id) {
+        return res.status(400).json({ message: 'You cannot message yourself' });
+      }
+      
+      if (await isBlockedBetween(req.user.id, recipient._id)) {
+        return res.status(403).json({ message: 'You cannot message this user' });
+      }
+      
+      const conversation = await Conversation.create({
+        participants: [req.user.id, recipient._id],
+        subject: req.body.subject
+      });
+      
+      const message = await Message.create({
+        conversation: conversation._id,
+        sender: req.user.id,
+        recipient: recipient._id,
+        body: req.body.body
+      });
+      
+      res.status(201).json({ conversation, message });
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   POST api/messages/modmail/:name
+// @desc    Message the moderators of a community
+// @access  Private
+router.post('/modmail/:name', [auth, subjectValidator, bodyValidator], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array(), message: errors.array()[0].msg });
+  }
+
+  try {
+    const community = await Community.findOne({ name: req.params.name });
+    
+    if (!community) {
+      return res.status(404).json({ message: 'Community not found' });
+    }
+    
+    if (community.mutedUsers.includes(req.user.id)) {
+      return res.status(403).json({ message: 'You are muted from messaging the moderators' });
+    }
+    
+    const conversation = await Conversation.create({
+      participants: [req.user.id],
+      community: community._id,
+      subject: req.body.subject
+    });
+    
+    const message = await Message.create({
+      conversation: conversation._id,
+      sender: req.user.id,
+      community: community._id,
+      body: req.body.body
+    });
+    
+    res.status(201).json({ conversation, message });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/messages/modmail/:name
+// @desc    Get the shared modmail inbox of a community
+// @access  Private (moderators only)
+router.get('/modmail/:name', [auth, ...paginationValidators], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array(), message: errors.array()[0].msg });
+  }
+
+  try {
+    const community = await Community.findOne({ name: req.params.name });
+    
+    if (!community) {
+      return res.status(404).json({ message: 'Community not found' });
+    }
+    
+    if (!isModerator(community, req.user.id)) {
+      return res.status(401).json({ message: 'User not authorized' });
+    }
+    
+    const page = await paginate({
+      sort: RECENT_CONVERSATIONS_FIRST,
+      after: req.query.after,
+      before: req.query.before,
+      limit: getLimit(req, 25),
+      fetch: ({ keyset, sort, limit }) => Conversation.find(withKeyset({ community: community._id }, keyset))
+        .sort(sort)
+        .limit(limit)
+        .populate('participants', 'username avatar')
+        .lean()
+    });
+    
+    // Messages to the moderators have no individual recipient
+    page.items = await addUnreadCounts(page.items, { recipient: null, community: community._id });
+    
+    res.json(page);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/messages/conversations
+// @desc    Get the current user's conversations
+// @access  Private
+router.get('/conversations', [auth, ...paginationValidators], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array(), message: errors.array()[0].msg });
+  }
+
+  try {
+    const page = await paginate({
+      sort: RECENT_CONVERSATIONS_FIRST,
+      after: req.query.after,
+      before: req.query.before,
+      limit: getLimit(req, 25),
+      fetch: ({ keyset, sort, limit }) => Conversation.find(withKeyset({ participants: req.user.id }, keyset))
+        .sort(sort)
+        .limit(limit)
+        .populate('participants', 'username avatar')
+        .populate('community', 'name icon')
+        .lean()
+    });
+    
+    // Aggregations are not cast, so the ID has to be an ObjectId already
+    page.items = await addUnreadCounts(page.items, { recipient: new mongoose.Types.ObjectId(req.user.id) });
+    
+    res.json(page);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/messages/conversations/:id
+// @desc    Get the messages in a conversation and mark them as read
+// @access  Private (participants, and moderators for modmail)
+router.get('/conversations/:id', [auth, ...paginationValidators], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array(), message: errors.array()[0].msg });
+  }
+
+  try {
+    const access = await getConversationAccess(req.params.id, req.user.id);
+    
+    if (!access) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+    
+    const { conversation, asModerator } = access;
+    const filter = { conversation: conversation._id, deletedFor: { $ne: req.user.id } };
+    
+    const page = await paginate({
+      sort: [['createdAt', 1], ['_id', 1]],
+      after: req.query.after,
+      before: req.query.before,
+      limit: getLimit(req, 50),
+      fetch: ({ keyset, sort, limit }) => Message.find(withKeyset(filter, keyset))
+        .sort(sort)
+        .limit(limit)
+        .populate('sender', 'username avatar')
+        .select('-deletedFor')
+        .lean()
+    });
+    
+    // Mark what this user received as read; moderators read for the shared inbox
+    await Message.updateMany(
+      {
+        conversation: conversation._id,
+        recipient: asModerator ? null : req.user.id,
+        isRead: false
+      },
+      { isRead: true }
+    );
+    
+    res.json({ conversation, ...page });
+  } catch (err) {
+    console.error(err.message);
+    
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/messages/conversations/:id/reply
+// @desc    Reply in a conversation
+// @access  Private (participants, and moderators for modmail)
+router.post('/conversations/:id/reply', [auth, bodyValidator], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array(), message: errors.array()[0].msg });
+  }
+
+  try {
+    const access = await getConversationAccess(req.params.id, req.user.id);
+    
+    if (!access) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+    
+    const { conversation, community, asModerator } = access;
+    let recipient = null;
+    
+    if (community) {
+      // Moderators answer the user; the user writes to the shared inbox
+      if (asModerator) {
+        recipient = conversation.participants[0];
+      } else if (community.mutedUsers.includes(req.user.id)) {
+        return res.status(403).json({ message: 'You are muted from messaging the moderators' });
+      }
+    } else {
+      recipient = conversation.participants.find(
+        participant => participant.toString() !== req.user.id
+      );
+      
+      if (await isBlockedBetween(req.user.id, recipient)) {
+        return res.status(403).json({ message: 'You cannot message this user' });
+      }
+    }
+    
+    // The other side of the conversation has deleted their account
+    if (recipient && await isDeletedUser(recipient)) {
+      return res.status(400).json({ message: 'You cannot message a deleted account' });
+    }
+    
+    const message = await Message.create({
+      conversation: conversation._id,
+      sender: req.user.id,
+      recipient,
+      community: community ? community._id : null,
+      body: req.body.body
+    });
+    
+    conversation.lastMessageAt = message.createdAt;
+    await conversation.save();
+    
+    res.status(201).json(message);
+  } catch (err) {
+    console.error(err.message);
+    
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/messages/inbox
+// @desc    Get messages sent to the current user
+// @access  Private
+router.get('/inbox', [auth, ...paginationValidators], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array(), message: errors.array()[0].msg });
+  }
+
+  try {
+    const page = await listMessages(req, { recipient: req.user.id });
+    
+    res.json(page);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/messages/sent
+// @desc    Get messages sent by the current user
+// @access  Private
+router.get('/sent', [auth, ...paginationValidators], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array(), message: errors.array()[0].msg });
+  }
+
+  try {
+    const page = await listMessages(req, { sender: req.user.id });
+    
+    res.json(page);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/messages/unread-count
+// @desc    Get unread message counts for the user and their modmail inboxes
+// @access  Private
+router.get('/unread-count', auth, async (req, res) => {
+  try {
+    const moderated = await Community.find({ moderators: req.user.id }).select('_id');
+    
+    const [messages, modmail] = await Promise.all([
+      Message.countDocuments({
+        recipient: req.user.id,
+        isRead: false,
+        deletedFor: { $ne: req.user.id }
+      }),
+      moderated.length > 0
+        ? Message.countDocuments({
+          community: { $in: moderated.map(community => community._id) },
+          recipient: null,
+          isRead: false
+        })
+        : 0
+    ]);
+    
+    res.json({ messages, modmail });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE api/messages/:id
+// @desc    Delete a message from the current user's view
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const message = await Message.findById(req.params.id);
+    
+    if (!message) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+    
+    const access = await getConversationAccess(message.conversation, req.user.id);
+    if (!access) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+    
+    await Message.updateOne({ _id: message._id }, { $addToSet: { deletedFor: req.user.id } });
+    
+    res.json({ message: 'Message deleted' });
+  } catch (err) {
+    console.error(err.message);
+    
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Helper function to load a conversation the user may read. Moderators of
+// the community can read its modmail conversations. Returns null otherwise.
+async function getConversationAccess(conversationId, userId) {
+  const conversation = await Conversation.findById(conversationId);
+  if (!conversation) {
+    return null;
+  }
+  
+  const community = conversation.community
+    ? await Community.findById(conversation.community)
+    : null;
+  const isParticipant = conversation.participants.some(
+    participant => participant.toString() === userId
+  );
+  
+  if (isParticipant) {
+    return { conversation, community, asModerator: false };
+  }
+  if (community && isModerator(community, userId)) {
+    return { conversation, community, asModerator: true };
+  }
+  return null;
+}
+
+// Helper function to add the number of unread messages to each conversation
+async function addUnreadCounts(conversations, filter) {
+  const counts = await Message.aggregate([
+    {
+      $match: {
+        ...filter,
+        conversation: { $in: conversations.map(conversation => conversation._id) },
+        isRead: false
+      }
+    },
+    { $group: { _id: '$conversation', count: { $sum: 1 } } }
+  ]);
+  
+  const countMap = {};
+  counts.forEach(item => {
+    countMap[item._id.toString()] = item.count;
+  });
+  
+  return conversations.map(conversation => ({
+    ...conversation,
+    unreadCount: countMap[conversation._id.toString()] || 0
+  }));
+}
+
+// Helper function to list messages newest first, without those the user deleted
+function listMessages(req, filter) {
+  const conditions = { ...filter, deletedFor: { $ne: req.user.id } };
+  
+  return paginate({
+    sort: NEWEST_FIRST,
+    after: req.query.after,
+    before: req.query.before,
+    limit: getLimit(req, 25),
+    fetch: ({ keyset, sort, limit }) => Message.find(withKeyset(conditions, keyset))
+      .sort(sort)
+      .limit(limit)
+      .populate('sender', 'username avatar')
+      .populate('recipient', 'username avatar')
+      .populate('conversation', 'subject')
+      .populate('community', 'name')
+      .select('-deletedFor')
+      .lean()
+  });
+}
+
+module.exports = router;
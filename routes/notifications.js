@@ -0,0 +1,205 @@
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { paginate, withKeyset, getLimit, paginationValidators } = require('../utils/pagination');
+const { NOTIFICATION_TYPES } = require('../utils/notifications');
+
+// @route   GET api/notifications
+// @desc    Get the current user's notifications
+// @access  Private
+router.get(
+  '/',
+  [
+    auth,
+    query('type')
+      .optional()
+      .isIn(NOTIFICATION_TYPES)
+      .withMessage(`Type must be one of: ${NOTIFICATION_TYPES.join(', ')}`),
+    query('unread').optional().isBoolean().withMessage('Unread must be true or false'),
+    ...paginationValidators,
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), message: errors.array()[0].msg });
+    }
+
+    try {
+      const filter = { user: req.user.id };
+      if (req.query.type) filter.type = req.query.type;
+      if (req.query.unread === 'true') filter.isRead = false;
+      
+      const [page, unreadCount] = await Promise.all([
+        paginate({
+          sort: [['createdAt', -1], ['_id', -1]],
+          after: req.query.after,
+          before: req.query.before,
+          limit: getLimit(req, 25),
+          fetch: ({ keyset, sort, limit }) => Notification.find(withKeyset(filter, keyset))
+            .sort(sort)
+            .limit(limit)
+            .populate('actor', 'username avatar')
+            .populate('post', 'title community')
+            .lean()
+        }),
+        Notification.countDocuments({ user: req.user.id, isRead: false })
+      ]);
+      
+      res.json({ ...page, unreadCount });
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   GET api/notifications/unread-count
+// @desc    Get unread notification counts, in total and per type
+// @access  Private
+router.get('/unread-count', auth, async (req, res) => {
+  try {
+    const counts = await Notification.aggregate([
+      { $match: { user: new mongoose.Types.ObjectId(req.user.id), isRead: false } },
+      { $group: { _id: '$type', count: { $sum: 1 } } }
+    ]);
+    
+    const byType = {};
+    NOTIFICATION_TYPES.forEach(type => {
+      byType[type] = 0;
+    });
+    counts.forEach(item => {
+      byType[item._id] = item.count;
+    });
+    
+    res.json({
+      total: counts.reduce((total, item) => total + item.count, 0),
+      byType
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/notifications/settings
+// @desc    Get which notification types the current user receives
+// @access  Private
+router.get('/settings', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('notificationPreferences');
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    res.json(user.notificationPreferences);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT api/notifications/settings
+// @desc    Turn notification types on or off
+// @access  Private
+router.put(
+  '/settings',
+  [
+    auth,
+    ...NOTIFICATION_TYPES.map(type => body(type)
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage(`${type} must be true or false`)),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), message: errors.array()[0].msg });
+    }
+
+    try {
+      const user = await User.findById(req.user.id);
+      
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      
+      NOTIFICATION_TYPES.forEach(type => {
+        if (req.body[type] !== undefined) {
+          user.notificationPreferences[type] = req.body[type];
+        }
+      });
+      
+      await user.save();
+      
+      res.json(user.notificationPreferences);
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   POST api/notifications/read-all
+// @desc    Mark all notifications as read, optionally only of one type
+// @access  Private
+router.post(
+  '/read-all',
+  [
+    auth,
+    body('type')
+      .optional()
+      .isIn(NOTIFICATION_TYPES)
+      .withMessage(`Type must be one of: ${NOTIFICATION_TYPES.join(', ')}`),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), message: errors.array()[0].msg });
+    }
+
+    try {
+      const filter = { user: req.user.id, isRead: false };
+      if (req.body.type) filter.type = req.body.type;
+      
+      const result = await Notification.updateMany(filter, { isRead: true });
+      
+      res.json({ updated: result.modifiedCount });
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   POST api/notifications/:id/read
+// @desc    Mark a notification as read
+// @access  Private
+router.post('/:id/read', auth, async (req, res) => {
+  try {
+    const notification = await Notification.findById(req.params.id);
+    
+    if (!notification || notification.user.toString() !== req.user.id) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+    
+    notification.isRead = true;
+    await notification.save();
+    
+    res.json(notification);
+  } catch (err) {
+    console.error(err.message);
+    
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
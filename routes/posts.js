@@ -1,86 +1,115 @@
 
 const express = require('express');
 const router = express.Router();
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
+const jwt = require('jsonwebtoken');
 const Post = require('../models/Post');
 const Community = require('../models/Community');
 const Comment = require('../models/Comment');
 const Vote = require('../models/Vote');
+const PollVote = require('../models/PollVote');
+const SavedItem = require('../models/SavedItem');
+const HiddenPost = require('../models/HiddenPost');
+const Follow = require('../models/Follow');
 const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const {
+  TIME_WINDOWS,
+  excludeHiddenPosts,
+  getSavedItemIds,
+  addListingInfo
+} = require('../utils/postListing');
+const { paginate, withKeyset, getLimit, paginationValidators } = require('../utils/pagination');
+const { notify, notifyMentions } = require('../utils/notifications');
+const { postChannel, communityChannel, publish } = require('../utils/events');
+const { isPollClosed, formatPoll, addPollInfo } = require('../utils/polls');
+const { findOwnImage } = require('../utils/media');
+const { findUsableFlair, toFlair, addAuthorFlairs } = require('../utils/flair');
+const { applyKarma, revokeKarma } = require('../utils/karma');
+const { castVote } = require('../utils/voting');
+const { recordRevision, canViewRevisions, getVersions } = require('../utils/revisions');
+const { softDelete, hideContent } = require('../utils/deletion');
+const { getBlockedUserIds, hasBlocked } = require('../utils/blocks');
+const { withTransaction } = require('../utils/transactions');
+const {
+  canView,
+  canSubmit,
+  getHiddenCommunityNames,
+  getActiveBan
+} = require('../utils/communityAccess');
+const {
+  removalValidators,
+  isModerator,
+  hasPermission,
+  getPostCommunity,
+  getRemovalReason,
+  removeContent,
+  approveContent,
+  fileReport,
+  ignoreReports
+} = require('../utils/moderation');
+const {
+  COMMENT_SORT_MODES,
+  DEFAULT_SORT,
+  DEFAULT_DEPTH,
+  MAX_DEPTH,
+  DEFAULT_LIMIT,
+  getCommentOrder,
+  loadCommentPage,
+  buildCommentTree,
+  decodeContinuation
+} = require('../utils/commentTree');
 const mongoose = require('mongoose');
 
-// @route   GET api/posts
-// @desc    Get all posts (paginated)
+const SORT_MODES = ['hot', 'new', 'top', 'rising', 'controversial'];
+
+const POST_KINDS = Post.schema.path('kind').enumValues;
+
+// Polls can stay open for at most a week
+const MAX_POLL_DURATION = 7 * 24 * 60 * 60 * 1000;
+
+// Only posts younger than this are considered for rising
+const RISING_WINDOW = 24 * 60 * 60 * 1000;
+
+// Validators shared by every sortable post listing
+const listingValidators = [
+  query('sort')
+    .optional()
+    .isIn(SORT_MODES)
+    .withMessage(`Sort must be one of: ${SORT_MODES.join(', ')}`),
+  query('t')
+    .optional()
+    .isIn(Object.keys(TIME_WINDOWS))
+    .withMessage(`Time window must be one of: ${Object.keys(TIME_WINDOWS).join(', ')}`),
+  ...paginationValidators,
+];
+
+// @route   GET api/posts (alias GET api/posts/all)
+// @desc    Get the "all" feed: posts from every community (paginated, sortable)
 // @access  Public
-router.get('/', async (req, res) => {
+router.get(['/', '/all'], [optionalAuth, ...listingValidators], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array(), message: errors.array()[0].msg });
+  }
+
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
-    
-    const posts = await Post.find()
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
-      .populate('author', 'username avatar')
-      .lean();
-    
-    // Get total count
-    const total = await Post.countDocuments();
+    // Leave out posts from private communities the user has not joined
+    const hidden = await getHiddenCommunityNames(req.user ? req.user.id : null);
     
-    // Get comment counts
-    const postIds = posts.map(post => post._id);
-    const commentCounts = await Comment.aggregate([
-      { $match: { post: { $in: postIds } } },
-      { $group: { _id: '$post', count: { $sum: 1 } } }
-    ]);
-    
-    // Create a map of post ID to comment count
-    const commentCountMap = {};
-    commentCounts.forEach(item => {
-      commentCountMap[item._id.toString()] = item.count;
+    const { items, nextCursor, prevCursor } = await findSortedPosts({ community: { $nin: hidden } }, {
+      sort: req.query.sort,
+      t: req.query.t,
+      after: req.query.after,
+      before: req.query.before,
+      limit: getLimit(req),
+      userId: req.user ? req.user.id : null
     });
     
-    // Add comment count to each post
-    const postsWithCommentCount = posts.map(post => ({
-      ...post,
-      commentCount: commentCountMap[post._id.toString()] || 0
-    }));
-    
-    // Check if user is authenticated to add vote info
-    let userId = null;
-    if (req.cookies.token) {
-      try {
-        const decoded = jwt.verify(req.cookies.token, process.env.JWT_SECRET);
-        userId = decoded.user.id;
-      } catch (err) {
-        // Invalid token, continue without user context
-      }
-    }
-    
-    // If user is authenticated, get their votes
-    let userVotes = {};
-    if (userId) {
-      const votes = await Vote.find({
-        user: userId,
-        item: { $in: postIds },
-        itemType: 'post'
-      });
-      
-      votes.forEach(vote => {
-        userVotes[vote.item.toString()] = vote.value;
-      });
-    }
-    
-    // Add user vote info to posts
-    const finalPosts = postsWithCommentCount.map(post => ({
-      ...post,
-      userVote: userVotes[post._id.toString()] || 0
-    }));
-    
     res.json({
-      posts: finalPosts,
-      hasMore: skip + posts.length < total
+      items: await addListingInfo(items, req.user ? req.user.id : null),
+      nextCursor,
+      prevCursor
     });
   } catch (err) {
     console.error(err.message);
@@ -88,85 +117,171 @@ router.get('/', async (req, res) => {
   }
 });
 
-// @route   GET api/posts/community/:communityName
-// @desc    Get posts by community
-// @access  Public
-router.get('/community/:communityName', async (req, res) => {
+// @route   GET api/posts/feed
+// @desc    Get the home feed: posts from the user's joined communities
+// @access  Private
+router.get('/feed', [auth, ...listingValidators], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array(), message: errors.array()[0].msg });
+  }
+
   try {
-    const { communityName } = req.params;
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
-    
-    // Find the community first
-    const community = await Community.findOne({ name: communityName });
-    if (!community) {
-      return res.status(404).json({ message: 'Community not found' });
-    }
-    
-    const posts = await Post.find({ community: communityName })
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
-      .populate('author', 'username avatar')
+    const joined = await Community.find({ members: req.user.id })
+      .select('name')
       .lean();
     
-    // Get total count
-    const total = await Post.countDocuments({ community: communityName });
+    // Users who have not joined anything get popular posts instead
+    const feed = joined.length > 0 ? 'home' : 'popular';
+    const filter = feed === 'home'
+      ? { community: { $in: joined.map(community => community.name) } }
+      : { community: { $nin: await getHiddenCommunityNames(req.user.id) } };
     
-    // Get comment counts
-    const postIds = posts.map(post => post._id);
-    const commentCounts = await Comment.aggregate([
-      { $match: { post: { $in: postIds } } },
-      { $group: { _id: '$post', count: { $sum: 1 } } }
-    ]);
+    const { items, nextCursor, prevCursor } = await findSortedPosts(filter, {
+      sort: req.query.sort,
+      t: req.query.t,
+      after: req.query.after,
+      before: req.query.before,
+      limit: getLimit(req),
+      userId: req.user.id
+    });
     
-    // Create a map of post ID to comment count
-    const commentCountMap = {};
-    commentCounts.forEach(item => {
-      commentCountMap[item._id.toString()] = item.count;
+    res.json({
+      feed,
+      items: await addListingInfo(items, req.user.id),
+      nextCursor,
+      prevCursor
     });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/posts/following
+// @desc    Get posts by the users the current user follows (paginated, sortable)
+// @access  Private
+router.get('/following', [auth, ...listingValidators], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array(), message: errors.array()[0].msg });
+  }
+
+  try {
+    const following = await Follow.find({ follower: req.user.id }).distinct('following');
     
-    // Add comment count to each post
-    const postsWithCommentCount = posts.map(post => ({
-      ...post,
-      commentCount: commentCountMap[post._id.toString()] || 0
-    }));
+    // Leave out posts from private communities the user has not joined
+    const hidden = await getHiddenCommunityNames(req.user.id);
     
-    // Check if user is authenticated to add vote info
-    let userId = null;
-    if (req.cookies.token) {
-      try {
-        const decoded = jwt.verify(req.cookies.token, process.env.JWT_SECRET);
-        userId = decoded.user.id;
-      } catch (err) {
-        // Invalid token, continue without user context
+    const { items, nextCursor, prevCursor } = await findSortedPosts(
+      { author: { $in: following }, community: { $nin: hidden } },
+      {
+        sort: req.query.sort,
+        t: req.query.t,
+        after: req.query.after,
+        before: req.query.before,
+        limit: getLimit(req),
+        userId: req.user.id
       }
-    }
+    );
     
-    // If user is authenticated, get their votes
-    let userVotes = {};
-    if (userId) {
-      const votes = await Vote.find({
-        user: userId,
-        item: { $in: postIds },
-        itemType: 'post'
+    res.json({
+      items: await addListingInfo(items, req.user.id),
+      nextCursor,
+      prevCursor
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/posts/community/:communityName
+// @desc    Get posts by community (paginated, sortable)
+// @access  Public
+router.get(
+  '/community/:communityName',
+  [
+    optionalAuth,
+    ...listingValidators,
+    query('flair').optional().isMongoId().withMessage('Flair must be a valid ID'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), message: errors.array()[0].msg });
+    }
+
+    try {
+      const { communityName } = req.params;
+      
+      // Find the community first
+      const community = await Community.findOne({ name: communityName });
+      if (!community) {
+        return res.status(404).json({ message: 'Community not found' });
+      }
+      
+      if (!canView(community, req.user ? req.user.id : null)) {
+        return res.status(403).json({ message: 'This community is private' });
+      }
+      
+      // Optionally only posts with one flair
+      const filter = { community: communityName };
+      if (req.query.flair) {
+        // Cast up front, since rising listings match in an aggregation
+        filter['flair.template'] = new mongoose.Types.ObjectId(req.query.flair);
+      }
+      
+      const { items, nextCursor, prevCursor } = await findSortedPosts(filter, {
+        sort: req.query.sort,
+        t: req.query.t,
+        after: req.query.after,
+        before: req.query.before,
+        limit: getLimit(req),
+        userId: req.user ? req.user.id : null
       });
       
-      votes.forEach(vote => {
-        userVotes[vote.item.toString()] = vote.value;
+      res.json({
+        items: await addListingInfo(items, req.user ? req.user.id : null),
+        nextCursor,
+        prevCursor
       });
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).json({ message: 'Server error' });
     }
+  }
+);
+
+// @route   GET api/posts/domain/:domain
+// @desc    Get link posts to a domain (paginated, sortable)
+// @access  Public
+router.get('/domain/:domain', [optionalAuth, ...listingValidators], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array(), message: errors.array()[0].msg });
+  }
+
+  try {
+    const hidden = await getHiddenCommunityNames(req.user ? req.user.id : null);
+    const filter = {
+      domain: req.params.domain.toLowerCase().replace(/^www\./, ''),
+      community: { $nin: hidden }
+    };
     
-    // Add user vote info to posts
-    const finalPosts = postsWithCommentCount.map(post => ({
-      ...post,
-      userVote: userVotes[post._id.toString()] || 0
-    }));
+    const { items, nextCursor, prevCursor } = await findSortedPosts(filter, {
+      sort: req.query.sort,
+      t: req.query.t,
+      after: req.query.after,
+      before: req.query.before,
+      limit: getLimit(req),
+      userId: req.user ? req.user.id : null
+    });
     
     res.json({
-      posts: finalPosts,
-      hasMore: skip + posts.length < total
+      items: await addListingInfo(items, req.user ? req.user.id : null),
+      nextCursor,
+      prevCursor
     });
   } catch (err) {
     console.error(err.message);
@@ -181,6 +296,7 @@ router.get('/:id', async (req, res) => {
   try {
     const post = await Post.findById(req.params.id)
       .populate('author', 'username avatar')
+      .populate('media', 'url mimeType width height')
       .lean();
     
     if (!post) {
@@ -209,12 +325,63 @@ router.get('/:id', async (req, res) => {
         });
         
         post.userVote = vote ? vote.value : 0;
+        post.isSaved = Boolean(await SavedItem.exists({ user: userId, item: post._id }));
+        post.isHidden = Boolean(await HiddenPost.exists({ user: userId, post: post._id }));
       } catch (err) {
         // Invalid token, continue without user context
       }
     }
     
-    res.json(post);
+    const community = await getPostCommunity(post);
+    if (community && !canView(community, userId)) {
+      return res.status(403).json({ message: 'This community is private' });
+    }
+    
+    // Only the community's moderators can see what a deleted or removed
+    // post said and who wrote it
+    if (post.isDeleted || post.isRemoved) {
+      if (!userId || !community || !isModerator(community, userId)) {
+        hideContent(post);
+      }
+    }
+    
+    await addAuthorFlairs([post]);
+    const [withPoll] = await addPollInfo([post], userId);
+    
+    res.json(withPoll);
+  } catch (err) {
+    console.error(err.message);
+    
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/posts/:id/revisions
+// @desc    Get a post's edit history, with the changes made by each edit
+// @access  Public if the community shares edit history, otherwise moderators only
+router.get('/:id/revisions', optionalAuth, async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id).select('title content community isRemoved isDeleted createdAt').lean();
+    
+    if (!post) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+    
+    const userId = req.user ? req.user.id : null;
+    const community = await getPostCommunity(post);
+    if (!community || !canView(community, userId)) {
+      return res.status(403).json({ message: 'This community is private' });
+    }
+    
+    if (!canViewRevisions(community, post, userId)) {
+      return res.status(403).json({ message: 'Edit history is only visible to moderators' });
+    }
+    
+    res.json({ versions: await getVersions(post, 'Post') });
   } catch (err) {
     console.error(err.message);
     
@@ -235,6 +402,52 @@ router.post(
     auth,
     body('title').not().isEmpty().withMessage('Title is required').trim(),
     body('community').not().isEmpty().withMessage('Community is required').trim(),
+    body('suggestedSort')
+      .optional({ nullable: true })
+      .isIn(COMMENT_SORT_MODES)
+      .withMessage(`Suggested sort must be one of: ${COMMENT_SORT_MODES.join(', ')}`),
+    body('flair')
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage('Flair must be a valid ID'),
+    body('kind')
+      .optional()
+      .isIn(POST_KINDS)
+      .withMessage(`Kind must be one of: ${POST_KINDS.join(', ')}`),
+    body('url')
+      .if(body('kind').equals('link'))
+      .trim()
+      .isURL({ protocols: ['http', 'https'], require_protocol: true })
+      .withMessage('Link posts need a valid http or https URL'),
+    body('media')
+      .if(body('kind').equals('image'))
+      .isMongoId()
+      .withMessage('Image posts need an uploaded image'),
+    body('poll.options')
+      .if(body('kind').equals('poll'))
+      .isArray({ min: 2, max: 6 })
+      .withMessage('Polls need between 2 and 6 options'),
+    body('poll.options.*')
+      .if(body('kind').equals('poll'))
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Poll options must be between 1 and 100 characters'),
+    body('poll.closesAt')
+      .if(body('kind').equals('poll'))
+      .isISO8601()
+      .withMessage('Poll closing time must be a valid date')
+      .bail()
+      .custom(value => {
+        const closesAt = new Date(value).getTime();
+        if (closesAt <= Date.now()) {
+          throw new Error('Poll closing time must be in the future');
+        }
+        if (closesAt > Date.now() + MAX_POLL_DURATION) {
+          throw new Error('Polls can stay open for at most 7 days');
+        }
+        return true;
+      }),
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -243,7 +456,8 @@ router.post(
     }
 
     try {
-      const { title, content, community } = req.body;
+      const { title, content, community, suggestedSort } = req.body;
+      const kind = req.body.kind || 'text';
       
       // Check if community exists
       const communityDoc = await Community.findOne({ name: community });
@@ -251,15 +465,61 @@ router.post(
         return res.status(404).json({ message: 'Community not found' });
       }
       
+      // Restricted and private communities limit who can post
+      if (!canSubmit(communityDoc, req.user.id)) {
+        return res.status(403).json({ message: 'You are not allowed to post in this community' });
+      }
+      
+      if (await getActiveBan(communityDoc, req.user.id)) {
+        return res.status(403).json({ message: 'You are banned from this community' });
+      }
+      
+      if (!communityDoc.allowedPostKinds.includes(kind)) {
+        return res.status(400).json({ message: `This community does not allow ${kind} posts` });
+      }
+      
+      let flair;
+      if (req.body.flair) {
+        const template = findUsableFlair(communityDoc, 'post', req.body.flair, req.user.id);
+        if (!template) {
+          return res.status(400).json({ message: 'Flair not found' });
+        }
+        flair = toFlair(template);
+      } else if (communityDoc.requirePostFlair) {
+        return res.status(400).json({ message: 'This community requires a post flair' });
+      }
+      
       // Create new post
       const newPost = new Post({
         title,
         content,
+        kind,
+        flair,
         author: req.user.id,
         community,
-        votes: 0
+        suggestedSort: suggestedSort || null,
+        votes: 0,
+        upvotes: 0,
+        downvotes: 0
       });
       
+      if (kind === 'link') {
+        newPost.url = req.body.url;
+        newPost.domain = getDomain(req.body.url);
+      } else if (kind === 'image') {
+        // The image must be one the author uploaded
+        const media = await findOwnImage(req.body.media, req.user.id);
+        if (!media) {
+          return res.status(400).json({ message: 'Image not found' });
+        }
+        newPost.media = media._id;
+      } else if (kind === 'poll') {
+        newPost.poll = {
+          options: req.body.poll.options.map(text => ({ text })),
+          closesAt: req.body.poll.closesAt
+        };
+      }
+      
       const post = await newPost.save();
       
       // Auto-upvote your own post
@@ -274,9 +534,30 @@ router.post(
       
       // Update post votes count
       post.votes = 1;
+      post.upvotes = 1;
       await post.save();
       
-      res.json(post);
+      await notifyMentions(`${title} ${content || ''}`, {
+        canSee: userId => canView(communityDoc, userId),
+        actor: req.user.id,
+        post: post._id,
+        community,
+        message: title
+      });
+      
+      await publish(communityChannel(community), 'post_created', {
+        post: post._id,
+        kind: post.kind,
+        title: post.title,
+        author: req.user.id
+      });
+      
+      const postObj = post.toObject();
+      if (postObj.poll) {
+        postObj.poll = formatPoll(postObj.poll, null);
+      }
+      
+      res.json(postObj);
     } catch (err) {
       console.error(err.message);
       res.status(500).json({ message: 'Server error' });
@@ -292,6 +573,10 @@ router.put(
   [
     auth,
     body('title').not().isEmpty().withMessage('Title is required').trim(),
+    body('flair')
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage('Flair must be a valid ID'),
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -305,7 +590,7 @@ router.put(
       // Find post
       const post = await Post.findById(req.params.id);
       
-      if (!post) {
+      if (!post || post.isDeleted) {
         return res.status(404).json({ message: 'Post not found' });
       }
       
@@ -314,13 +599,44 @@ router.put(
         return res.status(401).json({ message: 'User not authorized' });
       }
       
+      // A flair ID changes the flair, null clears it
+      if (req.body.flair !== undefined) {
+        const community = await getPostCommunity(post);
+        
+        if (req.body.flair === null) {
+          if (community && community.requirePostFlair) {
+            return res.status(400).json({ message: 'This community requires a post flair' });
+          }
+          post.flair = undefined;
+        } else {
+          const template = community && findUsableFlair(community, 'post', req.body.flair, req.user.id);
+          if (!template) {
+            return res.status(400).json({ message: 'Flair not found' });
+          }
+          post.flair = toFlair(template);
+        }
+      }
+      
+      // Keep the version being replaced, unless this is a quick fix just
+      // after posting
+      const changed = title !== post.title || (content || '') !== (post.content || '');
+      if (changed && await recordRevision(post, 'Post')) {
+        post.isEdited = true;
+        post.editedAt = new Date();
+      }
+      
       // Update post
       post.title = title;
       post.content = content;
-      post.isEdited = true;
       
       await post.save();
       
+      await publish([postChannel(post._id), communityChannel(post.community)], 'post_edited', {
+        post: post._id,
+        title: post.title,
+        content: post.content
+      });
+      
       res.json(post);
     } catch (err) {
       console.error(err.message);
@@ -334,30 +650,87 @@ router.put(
   }
 );
 
+// @route   PUT api/posts/:id/suggested-sort
+// @desc    Set the default comment sort for a post
+// @access  Private
+router.put(
+  '/:id/suggested-sort',
+  [
+    auth,
+    body('suggestedSort')
+      .optional({ nullable: true })
+      .isIn(COMMENT_SORT_MODES)
+      .withMessage(`Suggested sort must be one of: ${COMMENT_SORT_MODES.join(', ')}`),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), message: errors.array()[0].msg });
+    }
+
+    try {
+      const post = await Post.findById(req.params.id);
+      
+      if (!post || post.isDeleted) {
+        return res.status(404).json({ message: 'Post not found' });
+      }
+      
+      // Check user
+      if (post.author.toString() !== req.user.id) {
+        return res.status(401).json({ message: 'User not authorized' });
+      }
+      
+      // Passing null clears the suggestion; this does not mark the post as edited
+      post.suggestedSort = req.body.suggestedSort || null;
+      
+      await post.save();
+      
+      res.json({ suggestedSort: post.suggestedSort });
+    } catch (err) {
+      console.error(err.message);
+      
+      if (err.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'Post not found' });
+      }
+      
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
 // @route   DELETE api/posts/:id
-// @desc    Delete a post
+// @desc    Delete a post (moderators remove it instead)
 // @access  Private
 router.delete('/:id', auth, async (req, res) => {
   try {
     const post = await Post.findById(req.params.id);
     
-    if (!post) {
+    if (!post || post.isDeleted) {
       return res.status(404).json({ message: 'Post not found' });
     }
     
-    // Check user
+    // Moderators of the community can remove posts they did not write
     if (post.author.toString() !== req.user.id) {
-      return res.status(401).json({ message: 'User not authorized' });
+      const community = await getPostCommunity(post);
+      if (!community || !hasPermission(community, req.user.id, 'posts')) {
+        return res.status(401).json({ message: 'User not authorized' });
+      }
+      
+      await removeContent(post, { community, moderator: req.user.id, type: 'post' });
+      
+      return res.json({ message: 'Post removed' });
     }
     
-    // Delete all comments associated with the post
-    await Comment.deleteMany({ post: post._id });
+    // The post no longer counts towards the author's karma
+    await revokeKarma([post], 'post', post.community);
     
-    // Delete all votes associated with the post
-    await Vote.deleteMany({ item: post._id, itemType: 'post' });
+    // The post and its comments stay in place, shown as [deleted], until
+    // the purge job removes them
+    await softDelete(post);
     
-    // Delete the post
-    await post.remove();
+    await publish([postChannel(post._id), communityChannel(post.community)], 'post_deleted', {
+      post: post._id
+    });
     
     res.json({ message: 'Post deleted' });
   } catch (err) {
@@ -371,62 +744,35 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
-// @route   POST api/posts/:id/vote
-// @desc    Vote on a post
-// @access  Private
-router.post('/:id/vote', auth, async (req, res) => {
+// @route   POST api/posts/:id/remove
+// @desc    Remove a post from its community
+// @access  Private (moderators only)
+router.post('/:id/remove', [auth, ...removalValidators], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array(), message: errors.array()[0].msg });
+  }
+
   try {
-    const { voteType } = req.body;
-    
-    // Validate vote type (-1, 0, 1)
-    if (![1, 0, -1].includes(voteType)) {
-      return res.status(400).json({ message: 'Invalid vote type' });
-    }
-    
     const post = await Post.findById(req.params.id);
+    
     if (!post) {
       return res.status(404).json({ message: 'Post not found' });
     }
     
-    // Check if user has already voted
-    let vote = await Vote.findOne({
-      user: req.user.id,
-      item: post._id,
-      itemType: 'post'
-    });
-    
-    let voteChange = 0;
+    const community = await getPostCommunity(post);
+    if (!community || !hasPermission(community, req.user.id, 'posts')) {
+      return res.status(401).json({ message: 'User not authorized' });
+    }
     
-    if (vote) {
-      // User has already voted, update the vote
-      voteChange = voteType - vote.value;
-      
-      if (voteType === 0) {
-        // Remove the vote
-        await vote.remove();
-      } else {
-        // Update the vote
-        vote.value = voteType;
-        await vote.save();
-      }
-    } else if (voteType !== 0) {
-      // User has not voted and is casting a non-zero vote
-      vote = new Vote({
-        user: req.user.id,
-        item: post._id,
-        itemType: 'post',
-        value: voteType
-      });
-      
-      await vote.save();
-      voteChange = voteType;
+    const reason = getRemovalReason(community, req.body);
+    if (reason === null) {
+      return res.status(400).json({ message: 'Rule not found' });
     }
     
-    // Update post votes count
-    post.votes += voteChange;
-    await post.save();
+    await removeContent(post, { community, moderator: req.user.id, reason, type: 'post' });
     
-    res.json({ votes: post.votes });
+    res.json({ message: 'Post removed' });
   } catch (err) {
     console.error(err.message);
     
@@ -438,50 +784,25 @@ router.post('/:id/vote', auth, async (req, res) => {
   }
 });
 
-// @route   GET api/posts/:id/comments
-// @desc    Get comments for a post
-// @access  Public
-router.get('/:id/comments', async (req, res) => {
+// @route   POST api/posts/:id/approve
+// @desc    Approve a post, restoring it if it was removed
+// @access  Private (moderators only)
+router.post('/:id/approve', auth, async (req, res) => {
   try {
-    const comments = await Comment.find({ post: req.params.id })
-      .sort({ createdAt: -1 })
-      .populate('author', 'username avatar')
-      .lean();
+    const post = await Post.findById(req.params.id);
     
-    // Check if user is authenticated to add vote info
-    let userId = null;
-    if (req.cookies.token) {
-      try {
-        const decoded = jwt.verify(req.cookies.token, process.env.JWT_SECRET);
-        userId = decoded.user.id;
-      } catch (err) {
-        // Invalid token, continue without user context
-      }
+    if (!post) {
+      return res.status(404).json({ message: 'Post not found' });
     }
     
-    // If user is authenticated, get their votes and check authorship
-    if (userId) {
-      const commentIds = comments.map(comment => comment._id);
-      
-      const votes = await Vote.find({
-        user: userId,
-        item: { $in: commentIds },
-        itemType: 'comment'
-      });
-      
-      const voteMap = {};
-      votes.forEach(vote => {
-        voteMap[vote.item.toString()] = vote.value;
-      });
-      
-      // Add user vote info and authorship to comments
-      comments.forEach(comment => {
-        comment.userVote = voteMap[comment._id.toString()] || 0;
-        comment.isAuthor = comment.author._id.toString() === userId;
-      });
+    const community = await getPostCommunity(post);
+    if (!community || !hasPermission(community, req.user.id, 'posts')) {
+      return res.status(401).json({ message: 'User not authorized' });
     }
     
-    res.json(comments);
+    await approveContent(post, { community, moderator: req.user.id, type: 'post' });
+    
+    res.json({ message: 'Post approved' });
   } catch (err) {
     console.error(err.message);
     
@@ -493,32 +814,525 @@ router.get('/:id/comments', async (req, res) => {
   }
 });
 
-// @route   POST api/posts/:id/comments
-// @desc    Add comment to a post
+// @route   POST api/posts/:id/report
+// @desc    Report a post for breaking a community rule
 // @access  Private
-router.post(
-  '/:id/comments',
-  [
-    auth,
-    body('content').not().isEmpty().withMessage('Comment content is required').trim(),
-  ],
-  async (req, res) => {
-    const errors = validationResult(req);
+router.post('/:id/report', [auth, ...removalValidators], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array(), message: errors.array()[0].msg });
+  }
+
+  try {
+    const post = await Post.findById(req.params.id);
+    
+    if (!post) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+    
+    const community = await getPostCommunity(post);
+    if (!community) {
+      return res.status(404).json({ message: 'Community not found' });
+    }
+    
+    if (!canView(community, req.user.id)) {
+      return res.status(403).json({ message: 'This community is private' });
+    }
+    
+    const reason = getRemovalReason(community, req.body);
+    if (reason === null) {
+      return res.status(400).json({ message: 'Rule not found' });
+    }
+    if (!reason) {
+      return res.status(400).json({ message: 'A rule or reason is required' });
+    }
+    
+    const filed = await fileReport(post, { community, reporter: req.user.id, reason, type: 'post' });
+    if (!filed) {
+      return res.status(400).json({ message: 'You have already reported this post' });
+    }
+    
+    res.json({ message: 'Report submitted' });
+  } catch (err) {
+    console.error(err.message);
+    
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/posts/:id/ignore-reports
+// @desc    Ignore the reports on a post and take it out of the mod queue
+// @access  Private (moderators only)
+router.post('/:id/ignore-reports', auth, async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id);
+    
+    if (!post) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+    
+    const community = await getPostCommunity(post);
+    if (!community || !hasPermission(community, req.user.id, 'posts')) {
+      return res.status(401).json({ message: 'User not authorized' });
+    }
+    
+    const ignored = await ignoreReports(post, { community, moderator: req.user.id, type: 'post' });
+    if (!ignored) {
+      return res.status(404).json({ message: 'Post has no reports' });
+    }
+    
+    res.json({ message: 'Reports ignored' });
+  } catch (err) {
+    console.error(err.message);
+    
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/posts/:id/vote
+// @desc    Vote on a post
+// @access  Private
+router.post('/:id/vote', auth, async (req, res) => {
+  try {
+    const { voteType } = req.body;
+    
+    // Validate vote type (-1, 0, 1)
+    if (![1, 0, -1].includes(voteType)) {
+      return res.status(400).json({ message: 'Invalid vote type' });
+    }
+    
+    // Deleted posts no longer take votes
+    const post = await Post.findById(req.params.id);
+    if (!post || post.isDeleted) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+    
+    const community = await getPostCommunity(post);
+    if (community && !canView(community, req.user.id)) {
+      return res.status(403).json({ message: 'This community is private' });
+    }
+    
+    if (community && await getActiveBan(community, req.user.id)) {
+      return res.status(403).json({ message: 'You are banned from this community' });
+    }
+    
+    // Swap the vote and update the post's counters atomically
+    const { item: updated, change } = await castVote('post', post._id, req.user.id, voteType);
+    if (!updated) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+    
+    // Votes on your own post do not earn karma
+    if (post.author.toString() !== req.user.id) {
+      await applyKarma(post.author, post.community, 'post', change);
+    }
+    
+    if (change !== 0) {
+      await publish([postChannel(post._id), communityChannel(post.community)], 'post_vote', {
+        post: post._id,
+        votes: updated.votes,
+        upvotes: updated.upvotes,
+        downvotes: updated.downvotes
+      });
+    }
+    
+    res.json({ votes: updated.votes, upvotes: updated.upvotes, downvotes: updated.downvotes });
+  } catch (err) {
+    console.error(err.message);
+    
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/posts/:id/save
+// @desc    Save a post
+// @access  Private
+router.post('/:id/save', auth, async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id);
+    if (!post) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+    
+    const community = await getPostCommunity(post);
+    if (community && !canView(community, req.user.id)) {
+      return res.status(403).json({ message: 'This community is private' });
+    }
+    
+    // Saving twice is harmless
+    await SavedItem.updateOne(
+      { user: req.user.id, item: post._id },
+      { $setOnInsert: { itemType: 'Post', community: post.community } },
+      { upsert: true }
+    );
+    
+    res.json({ message: 'Post saved' });
+  } catch (err) {
+    console.error(err.message);
+    
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE api/posts/:id/save
+// @desc    Unsave a post
+// @access  Private
+router.delete('/:id/save', auth, async (req, res) => {
+  try {
+    await SavedItem.deleteOne({ user: req.user.id, item: req.params.id });
+    
+    res.json({ message: 'Post unsaved' });
+  } catch (err) {
+    console.error(err.message);
+    
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/posts/:id/hide
+// @desc    Hide a post from the user's listings
+// @access  Private
+router.post('/:id/hide', auth, async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id).select('community');
+    if (!post) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+    
+    const community = await getPostCommunity(post);
+    if (community && !canView(community, req.user.id)) {
+      return res.status(403).json({ message: 'This community is private' });
+    }
+    
+    await HiddenPost.updateOne(
+      { user: req.user.id, post: post._id },
+      { $setOnInsert: { createdAt: Date.now() } },
+      { upsert: true }
+    );
+    
+    res.json({ message: 'Post hidden' });
+  } catch (err) {
+    console.error(err.message);
+    
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE api/posts/:id/hide
+// @desc    Show a hidden post in the user's listings again
+// @access  Private
+router.delete('/:id/hide', auth, async (req, res) => {
+  try {
+    await HiddenPost.deleteOne({ user: req.user.id, post: req.params.id });
+    
+    res.json({ message: 'Post unhidden' });
+  } catch (err) {
+    console.error(err.message);
+    
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/posts/:id/poll/vote
+// @desc    Vote in a poll
+// @access  Private
+router.post(
+  '/:id/poll/vote',
+  [
+    auth,
+    body('option').isInt({ min: 0 }).withMessage('Option must be a non-negative integer').toInt(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array(), message: errors.array()[0].msg });
     }
 
     try {
       const post = await Post.findById(req.params.id);
+      if (!post || post.isRemoved || post.isDeleted) {
+        return res.status(404).json({ message: 'Post not found' });
+      }
+      
+      if (post.kind !== 'poll' || !post.poll) {
+        return res.status(400).json({ message: 'This post is not a poll' });
+      }
+      
+      const community = await getPostCommunity(post);
+      if (community && !canView(community, req.user.id)) {
+        return res.status(403).json({ message: 'This community is private' });
+      }
+      
+      if (community && await getActiveBan(community, req.user.id)) {
+        return res.status(403).json({ message: 'You are banned from this community' });
+      }
+      
+      if (isPollClosed(post.poll)) {
+        return res.status(400).json({ message: 'This poll is closed' });
+      }
+      
+      const { option } = req.body;
+      if (option >= post.poll.options.length) {
+        return res.status(400).json({ message: 'Invalid poll option' });
+      }
+      
+      // The vote and the tally it adds to are written together
+      let updated;
+      try {
+        updated = await withTransaction(async session => {
+          await PollVote.create([{ post: post._id, user: req.user.id, option }], { session });
+          
+          return Post.findByIdAndUpdate(
+            post._id,
+            { $inc: { [`poll.options.${option}.votes`]: 1, 'poll.totalVotes': 1 } },
+            { new: true, session }
+          ).lean();
+        });
+      } catch (err) {
+        // The unique index allows one vote per user
+        if (err.code === 11000) {
+          return res.status(400).json({ message: 'You have already voted in this poll' });
+        }
+        throw err;
+      }
+      
+      res.json(formatPoll(updated.poll, option));
+    } catch (err) {
+      console.error(err.message);
+      
+      if (err.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'Post not found' });
+      }
+      
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   GET api/posts/:id/comments
+// @desc    Get the comment tree for a post
+// @access  Public
+router.get(
+  '/:id/comments',
+  [
+    optionalAuth,
+    query('depth')
+      .optional()
+      .isInt({ min: 1, max: MAX_DEPTH })
+      .withMessage(`Depth must be between 1 and ${MAX_DEPTH}`),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    query('sort')
+      .optional()
+      .isIn(COMMENT_SORT_MODES)
+      .withMessage(`Sort must be one of: ${COMMENT_SORT_MODES.join(', ')}`),
+    query('continue')
+      .optional()
+      .custom(value => decodeContinuation(value) !== null)
+      .withMessage('Invalid continuation token'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), message: errors.array()[0].msg });
+    }
+
+    try {
+      const post = await Post.findById(req.params.id)
+        .select('author community suggestedSort')
+        .lean();
+      
       if (!post) {
         return res.status(404).json({ message: 'Post not found' });
       }
       
+      const userId = req.user ? req.user.id : null;
+      
+      const community = await getPostCommunity(post);
+      if (community && !canView(community, userId)) {
+        return res.status(403).json({ message: 'This community is private' });
+      }
+      
+      // Resume from a "load more" continuation if one was passed
+      const { parent, offset } = req.query.continue
+        ? decodeContinuation(req.query.continue)
+        : { parent: null, offset: 0 };
+      
+      // Fall back to the author's suggested sort when none is requested
+      const sort = req.query.sort || post.suggestedSort || DEFAULT_SORT;
+      const depth = parseInt(req.query.depth) || DEFAULT_DEPTH;
+      
+      // Only the comments on this page of the tree are loaded
+      const { comments, total } = await loadCommentPage(post._id, {
+        parent,
+        offset,
+        limit: parseInt(req.query.limit) || DEFAULT_LIMIT,
+        depth,
+        order: getCommentOrder(sort, { opId: post.author })
+      });
+      await Comment.populate(comments, { path: 'author', select: 'username avatar' });
+      
+      await addAuthorFlairs(comments, () => post.community);
+      
+      const commentIds = comments.map(comment => comment._id);
+      
+      // If user is authenticated, get their votes and check authorship
+      if (userId) {
+        const votes = await Vote.find({
+          user: userId,
+          item: { $in: commentIds },
+          itemType: 'comment'
+        });
+        
+        const voteMap = {};
+        votes.forEach(vote => {
+          voteMap[vote.item.toString()] = vote.value;
+        });
+        
+        const savedIds = await getSavedItemIds(userId, commentIds);
+        
+        // Add user vote and save info and authorship to comments
+        comments.forEach(comment => {
+          comment.userVote = voteMap[comment._id.toString()] || 0;
+          comment.isSaved = savedIds.has(comment._id.toString());
+          comment.isAuthor = comment.author._id.toString() === userId;
+        });
+        
+        // Comments by users the user has blocked keep their place in the
+        // thread but arrive collapsed, without their content
+        const blocked = (await getBlockedUserIds(userId)).map(id => id.toString());
+        comments.forEach(comment => {
+          comment.isBlocked = blocked.includes(comment.author._id.toString());
+          if (comment.isBlocked) {
+            comment.content = '[blocked]';
+          }
+        });
+      }
+      
+      // Deleted and removed comments keep their place in the thread, but
+      // only the community's moderators can see what they said and who
+      // wrote them
+      if (comments.some(comment => comment.isDeleted || comment.isRemoved)) {
+        const canModerate = userId && community && isModerator(community, userId);
+        
+        if (!canModerate) {
+          comments.forEach(comment => {
+            if (comment.isDeleted || comment.isRemoved) {
+              hideContent(comment);
+            }
+          });
+        }
+      }
+      
+      const tree = buildCommentTree(comments, { parent, offset, total, depth });
+      
+      res.json({ sort, ...tree });
+    } catch (err) {
+      console.error(err.message);
+      
+      if (err.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'Post not found' });
+      }
+      
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   POST api/posts/:id/comments
+// @desc    Add comment to a post
+// @access  Private
+router.post(
+  '/:id/comments',
+  [
+    auth,
+    body('content').not().isEmpty().withMessage('Comment content is required').trim(),
+    body('parentComment')
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage('Parent comment must be a valid ID'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), message: errors.array()[0].msg });
+    }
+
+    try {
+      const post = await Post.findById(req.params.id);
+      if (!post || post.isRemoved || post.isDeleted) {
+        return res.status(404).json({ message: 'Post not found' });
+      }
+      
+      const community = await getPostCommunity(post);
+      if (community && !canView(community, req.user.id)) {
+        return res.status(403).json({ message: 'This community is private' });
+      }
+      
+      if (community && await getActiveBan(community, req.user.id)) {
+        return res.status(403).json({ message: 'You are banned from this community' });
+      }
+      
+      // Replies must point at a comment on the same post
+      const { parentComment } = req.body;
+      let parent = null;
+      if (parentComment) {
+        parent = await Comment.findById(parentComment);
+        if (!parent) {
+          return res.status(404).json({ message: 'Parent comment not found' });
+        }
+        if (parent.post.toString() !== post._id.toString()) {
+          return res.status(400).json({ message: 'Parent comment belongs to a different post' });
+        }
+        if (parent.isRemoved || parent.isDeleted) {
+          return res.status(400).json({ message: 'You cannot reply to a deleted or removed comment' });
+        }
+      }
+      
+      // Users cannot reply to someone who has blocked them
+      const repliedTo = parent ? parent.author : post.author;
+      if (await hasBlocked(repliedTo, req.user.id)) {
+        return res.status(403).json({ message: 'You cannot reply to this user' });
+      }
+      
       const newComment = new Comment({
         content: req.body.content,
         author: req.user.id,
         post: req.params.id,
-        votes: 1 // Auto-upvote your own comment
+        community: post.community,
+        parentComment: parentComment || undefined,
+        votes: 1, // Auto-upvote your own comment
+        upvotes: 1
       });
       
       const comment = await newComment.save();
@@ -533,6 +1347,23 @@ router.post(
       
       await newVote.save();
       
+      // Let the author of the post or parent comment know about the reply,
+      // and anyone mentioned in it
+      const details = {
+        actor: req.user.id,
+        post: post._id,
+        comment: comment._id,
+        community: post.community,
+        message: comment.content.slice(0, 200)
+      };
+      
+      await notify(repliedTo, { type: parent ? 'comment_reply' : 'post_reply', ...details });
+      await notifyMentions(comment.content, {
+        skip: [repliedTo],
+        canSee: userId => !community || canView(community, userId),
+        ...details
+      });
+      
       // Populate author info
       await comment.populate('author', 'username avatar');
       
@@ -540,6 +1371,16 @@ router.post(
       const commentObj = comment.toObject();
       commentObj.isAuthor = true;
       commentObj.userVote = 1;
+      commentObj.isSaved = false;
+      commentObj.replyCount = 0;
+      commentObj.replies = [];
+      commentObj.moreReplies = null;
+      
+      await publish(postChannel(post._id), 'comment_created', {
+        ...commentObj,
+        isAuthor: false,
+        userVote: 0
+      });
       
       res.json(commentObj);
     } catch (err) {
@@ -554,4 +1395,87 @@ router.post(
   }
 );
 
+// Helper function to get the host name of a link, without www.
+function getDomain(url) {
+  return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+}
+
+// Helper function to fetch a page of posts in the requested sort order
+async function findSortedPosts(baseFilter, { sort = 'hot', t = 'all', after, before, limit, userId }) {
+  // Deleted and removed posts never appear in listings, nor do posts the
+  // user has hidden or posts by users they have blocked (on top of any
+  // author condition the listing has)
+  const filter = { ...baseFilter, isRemoved: { $ne: true }, isDeleted: { $ne: true } };
+  if (userId) {
+    filter.author = { ...filter.author, $nin: await getBlockedUserIds(userId) };
+  }
+  
+  if (sort === 'rising') {
+    // Rising ranks recent posts by how fast they are collecting votes. The
+    // score is computed against the listing's reference time so it stays
+    // stable across pages.
+    const page = await paginate({
+      sort: [['risingScore', -1], ['_id', -1]],
+      after,
+      before,
+      limit,
+      fetch: async ({ keyset, sort: order, limit: count, now }) => {
+        const ageInHours = { $divide: [{ $subtract: [new Date(now), '$createdAt'] }, 60 * 60 * 1000] };
+        
+        const posts = await Post.aggregate([
+          { $match: { ...filter, createdAt: { $gte: new Date(now - RISING_WINDOW), $lte: new Date(now) } } },
+          { $addFields: { risingScore: { $divide: ['$votes', { $add: [ageInHours, 2] }] } } },
+          ...(keyset ? [{ $match: keyset }] : []),
+          { $sort: order },
+          ...excludeHiddenPosts(userId),
+          { $limit: count }
+        ]);
+        
+        return Post.populate(posts, { path: 'author', select: 'username avatar' });
+      }
+    });
+    
+    // The score is only needed to build the page cursors
+    page.items.forEach(post => delete post.risingScore);
+    
+    return page;
+  }
+  
+  let order;
+  
+  if (sort === 'top') {
+    order = [['votes', -1], ['_id', -1]];
+  } else if (sort === 'controversial') {
+    order = [['controversyScore', -1], ['_id', -1]];
+  } else if (sort === 'new') {
+    order = [['createdAt', -1], ['_id', -1]];
+  } else {
+    order = [['hotScore', -1], ['_id', -1]];
+  }
+  
+  return paginate({
+    sort: order,
+    after,
+    before,
+    limit,
+    fetch: async ({ keyset, sort: mongoSort, limit: count, now }) => {
+      let conditions = filter;
+      
+      const window = TIME_WINDOWS[t];
+      if ((sort === 'top' || sort === 'controversial') && window) {
+        conditions = { ...filter, createdAt: { $gte: new Date(now - window) } };
+      }
+      
+      const posts = await Post.aggregate([
+        { $match: withKeyset(conditions, keyset) },
+        { $sort: mongoSort },
+        ...excludeHiddenPosts(userId),
+        { $limit: count }
+      ]);
+      
+      return Post.populate(posts, { path: 'author', select: 'username avatar' });
+    }
+  });
+}
+
 module.exports = router;
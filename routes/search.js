@@ -0,0 +1,218 @@
+const express = require('express');
+const router = express.Router();
+const { query, validationResult } = require('express-validator');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Community = require('../models/Community');
+const User = require('../models/User');
+const Vote = require('../models/Vote');
+const optionalAuth = require('../middleware/optionalAuth');
+const {
+  TIME_WINDOWS,
+  excludeHiddenPosts,
+  getSavedItemIds,
+  addListingInfo
+} = require('../utils/postListing');
+const { paginate, getLimit, paginationValidators } = require('../utils/pagination');
+const { getHiddenCommunityNames, visibleCommunityFilter } = require('../utils/communityAccess');
+const { getBlockedUserIds } = require('../utils/blocks');
+const { DELETED_USERNAME } = require('../utils/deletedUser');
+
+const SEARCH_TYPES = ['post', 'comment', 'community', 'user'];
+const SEARCH_SORTS = ['relevance', 'top', 'new'];
+
+const SEARCH_MODELS = {
+  post: Post,
+  comment: Comment,
+  community: Community,
+  user: User
+};
+
+// Extra aggregation stages per search type, run after the text match
+const SEARCH_STAGES = {
+  post: () => [],
+  // Join the comment's post so results can be filtered by community and
+  // show which post they belong to
+  comment: (community, hidden) => [
+    {
+      $lookup: {
+        from: 'posts',
+        localField: 'post',
+        foreignField: '_id',
+        as: 'post',
+        pipeline: [{ $project: { title: 1, community: 1 } }]
+      }
+    },
+    { $unwind: '$post' },
+    { $match: { 'post.community': community ? { $eq: community, $nin: hidden } : { $nin: hidden } } }
+  ],
+  community: () => [
+    { $project: { name: 1, description: 1, icon: 1, type: 1, memberCount: 1, createdAt: 1, score: 1 } }
+  ],
+  user: () => [
+    { $project: { username: 1, avatar: 1, bio: 1, createdAt: 1, score: 1 } }
+  ]
+};
+
+// @route   GET api/search
+// @desc    Search posts, comments, communities or users
+// @access  Public
+router.get(
+  '/',
+  [
+    optionalAuth,
+    query('q')
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Search query must be between 1 and 200 characters'),
+    query('type')
+      .optional()
+      .isIn(SEARCH_TYPES)
+      .withMessage(`Type must be one of: ${SEARCH_TYPES.join(', ')}`),
+    query('sort')
+      .optional()
+      .isIn(SEARCH_SORTS)
+      .withMessage(`Sort must be one of: ${SEARCH_SORTS.join(', ')}`),
+    query('t')
+      .optional()
+      .isIn(Object.keys(TIME_WINDOWS))
+      .withMessage(`Time window must be one of: ${Object.keys(TIME_WINDOWS).join(', ')}`),
+    ...paginationValidators,
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), message: errors.array()[0].msg });
+    }
+
+    try {
+      const { q, community, author } = req.query;
+      const type = req.query.type || 'post';
+      const sort = req.query.sort || 'relevance';
+      const limit = getLimit(req);
+      const userId = req.user ? req.user.id : null;
+      
+      // Filters shared by post and comment searches
+      const filter = { $text: { $search: q } };
+      
+      if (author && (type === 'post' || type === 'comment')) {
+        const authorDoc = await User.findOne({ username: author }).select('_id');
+        if (!authorDoc) {
+          return res.json({ type, items: [], nextCursor: null, prevCursor: null });
+        }
+        filter.author = authorDoc._id;
+      }
+      
+      // Posts and comments by users the user has blocked are left out
+      if (userId && (type === 'post' || type === 'comment')) {
+        const blocked = await getBlockedUserIds(userId);
+        filter.author = filter.author ? { $eq: filter.author, $nin: blocked } : { $nin: blocked };
+      }
+      
+      // Deleted and removed content is left out of search results
+      if (type === 'post' || type === 'comment') {
+        filter.isRemoved = { $ne: true };
+        filter.isDeleted = { $ne: true };
+      }
+      
+      // So is anything from private communities the user has not joined
+      const hidden = await getHiddenCommunityNames(userId);
+      if (type === 'post') {
+        filter.community = community ? { $eq: community, $nin: hidden } : { $nin: hidden };
+      } else if (type === 'community') {
+        Object.assign(filter, visibleCommunityFilter(userId));
+      } else if (type === 'user') {
+        // Neither the deleted-account placeholder nor accounts awaiting
+        // deletion are listed
+        filter.username = { $ne: DELETED_USERNAME };
+        filter.deletionRequestedAt = { $exists: false };
+      }
+      
+      const page = await paginate({
+        sort: getSearchSort(type, sort),
+        after: req.query.after,
+        before: req.query.before,
+        limit,
+        fetch: ({ keyset, sort: order, limit: count, now }) => {
+          const match = { ...filter };
+          
+          const window = TIME_WINDOWS[req.query.t];
+          if (window && (type === 'post' || type === 'comment')) {
+            match.createdAt = { $gte: new Date(now - window) };
+          }
+          
+          const stages = [
+            { $match: match },
+            { $addFields: { score: { $meta: 'textScore' } } },
+            ...SEARCH_STAGES[type](community, hidden),
+            ...(keyset ? [{ $match: keyset }] : []),
+            { $sort: order },
+            // And posts the user has hidden
+            ...(type === 'post' ? excludeHiddenPosts(userId) : []),
+            { $limit: count }
+          ];
+          
+          return SEARCH_MODELS[type].aggregate(stages);
+        }
+      });
+      
+      let { items } = page;
+      
+      if (type === 'post') {
+        await Post.populate(items, { path: 'author', select: 'username avatar' });
+        items = await addListingInfo(items, userId);
+      } else if (type === 'comment') {
+        await Comment.populate(items, { path: 'author', select: 'username avatar' });
+        
+        const savedIds = await getSavedItemIds(userId, items.map(comment => comment._id));
+        
+        // If user is authenticated, add their votes
+        const userVotes = {};
+        if (userId) {
+          const votes = await Vote.find({
+            user: userId,
+            item: { $in: items.map(comment => comment._id) },
+            itemType: 'comment'
+          });
+          
+          votes.forEach(vote => {
+            userVotes[vote.item.toString()] = vote.value;
+          });
+        }
+        
+        items = items.map(comment => ({
+          ...comment,
+          userVote: userVotes[comment._id.toString()] || 0,
+          isSaved: savedIds.has(comment._id.toString())
+        }));
+      }
+      
+      res.json({
+        type,
+        items,
+        nextCursor: page.nextCursor,
+        prevCursor: page.prevCursor
+      });
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Helper function to map a search sort onto cursor sort keys
+function getSearchSort(type, sort) {
+  if (sort === 'new') {
+    return [['createdAt', -1], ['_id', -1]];
+  }
+  if (sort === 'top' && (type === 'post' || type === 'comment')) {
+    return [['votes', -1], ['_id', -1]];
+  }
+  if (sort === 'top' && type === 'community') {
+    return [['memberCount', -1], ['_id', -1]];
+  }
+  // Users have no score of their own, so top falls back to relevance
+  return [['score', -1], ['_id', -1]];
+}
+
+module.exports = router;
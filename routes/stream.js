@@ -0,0 +1,97 @@
+const express = require('express');
+const router = express.Router();
+const Post = require('../models/Post');
+const Community = require('../models/Community');
+const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const { canView } = require('../utils/communityAccess');
+const { getPostCommunity } = require('../utils/moderation');
+const { postChannel, communityChannel, userChannel, subscribe } = require('../utils/events');
+
+// Comment sent periodically so proxies do not close idle streams
+const HEARTBEAT_INTERVAL = 25000;
+
+// @route   GET api/stream/posts/:id
+// @desc    Stream new comments, votes, edits, deletions and removals on a post
+// @access  Public (private communities need membership)
+router.get('/posts/:id', optionalAuth, async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id).select('community');
+    
+    if (!post) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+    
+    const community = await getPostCommunity(post);
+    if (community && !canView(community, req.user ? req.user.id : null)) {
+      return res.status(403).json({ message: 'This community is private' });
+    }
+    
+    openStream(req, res, [postChannel(post._id)]);
+  } catch (err) {
+    console.error(err.message);
+    
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/stream/communities/:name
+// @desc    Stream new posts, votes, edits, deletions and removals in a community
+// @access  Public (private communities need membership)
+router.get('/communities/:name', optionalAuth, async (req, res) => {
+  try {
+    const community = await Community.findOne({ name: req.params.name });
+    
+    if (!community) {
+      return res.status(404).json({ message: 'Community not found' });
+    }
+    
+    if (!canView(community, req.user ? req.user.id : null)) {
+      return res.status(403).json({ message: 'This community is private' });
+    }
+    
+    openStream(req, res, [communityChannel(community.name)]);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/stream/notifications
+// @desc    Stream the current user's new notifications
+// @access  Private
+router.get('/notifications', auth, (req, res) => {
+  openStream(req, res, [userChannel(req.user.id)]);
+});
+
+// Helper function to turn the response into a Server-Sent Events stream of
+// the given channels until the client disconnects
+function openStream(req, res, channels) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stop nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+  
+  const send = event => {
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+  
+  const unsubscribers = channels.map(channel => subscribe(channel, send));
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+  
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribers.forEach(unsubscribe => unsubscribe());
+  });
+}
+
+module.exports = router;
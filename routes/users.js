@@ -1,28 +1,275 @@
 
 const express = require('express');
 const router = express.Router();
-const { body, validationResult } = require('express-validator');
+const archiver = require('archiver');
+const bcrypt = require('bcryptjs');
+const { body, query, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Post = require('../models/Post');
 const Comment = require('../models/Comment');
+const SavedItem = require('../models/SavedItem');
+const CommunityKarma = require('../models/CommunityKarma');
+const Follow = require('../models/Follow');
 const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const { excludeHiddenPosts, addListingInfo } = require('../utils/postListing');
+const { getHiddenCommunityNames } = require('../utils/communityAccess');
+const { paginate, withKeyset, getLimit, paginationValidators } = require('../utils/pagination');
+const { findOwnImage, getThumbnailUrl } = require('../utils/media');
+const { hideContent } = require('../utils/deletion');
+const { buildExport, requestAccountDeletion, deleteAccount } = require('../utils/accounts');
+const { MAX_BLOCKED_USERS, isBlockedBetween, blockUser } = require('../utils/blocks');
+const { DELETED_USERNAME } = require('../utils/deletedUser');
+
+// Profile listings are newest first
+const PROFILE_SORT = [['createdAt', -1], ['_id', -1]];
+
+// The placeholder for deleted accounts has no profile and cannot be
+// followed or blocked
+router.param('username', (req, res, next, username) => {
+  if (username === DELETED_USERNAME) {
+    return res.status(404).json({ message: 'User not found' });
+  }
+  next();
+});
+
+// Accounts awaiting deletion are treated as gone already
+const byUsername = username => ({ username, deletionRequestedAt: { $exists: false } });
+
+// @route   GET api/users/me/saved
+// @desc    Get the current user's saved posts and comments (cursor paginated)
+// @access  Private
+router.get(
+  '/me/saved',
+  [
+    auth,
+    query('type')
+      .optional()
+      .isIn(['post', 'comment'])
+      .withMessage('Type must be post or comment'),
+    query('community').optional().trim(),
+    ...paginationValidators,
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), message: errors.array()[0].msg });
+    }
+
+    try {
+      const { type, community } = req.query;
+      
+      // Leave out items from private communities the user has since left
+      const hidden = await getHiddenCommunityNames(req.user.id);
+      const filter = {
+        user: req.user.id,
+        community: community ? { $eq: community, $nin: hidden } : { $nin: hidden }
+      };
+      if (type) {
+        filter.itemType = type === 'post' ? 'Post' : 'Comment';
+      }
+      
+      const page = await paginate({
+        sort: PROFILE_SORT,
+        after: req.query.after,
+        before: req.query.before,
+        limit: getLimit(req),
+        fetch: ({ keyset, sort, limit }) => SavedItem.find(withKeyset(filter, keyset))
+          .sort(sort)
+          .limit(limit)
+          .lean()
+      });
+      
+      const idsOf = itemType => page.items
+        .filter(saved => saved.itemType === itemType)
+        .map(saved => saved.item);
+      
+      const posts = await addListingInfo(
+        await Post.find({ _id: { $in: idsOf('Post') } })
+          .populate('author', 'username avatar')
+          .lean(),
+        req.user.id
+      );
+      const comments = await Comment.find({ _id: { $in: idsOf('Comment') } })
+        .populate('author', 'username avatar')
+        .populate('post', 'title community')
+        .lean();
+      
+      const itemMap = {};
+      [...posts, ...comments].forEach(item => {
+        // Hide what deleted and removed content said
+        if (item.isDeleted || item.isRemoved) {
+          hideContent(item);
+        }
+        itemMap[item._id.toString()] = item;
+      });
+      comments.forEach(comment => {
+        comment.isSaved = true;
+      });
+      
+      // Items deleted since they were saved are left out
+      const items = page.items
+        .filter(saved => itemMap[saved.item.toString()])
+        .map(saved => ({
+          _id: saved._id,
+          type: saved.itemType === 'Post' ? 'post' : 'comment',
+          savedAt: saved.createdAt,
+          item: itemMap[saved.item.toString()]
+        }));
+      
+      res.json({ items, nextCursor: page.nextCursor, prevCursor: page.prevCursor });
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   GET api/users/me/blocked
+// @desc    Get the users the current user has blocked
+// @access  Private
+router.get('/me/blocked', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id)
+      .select('blockedUsers')
+      .populate('blockedUsers', 'username avatar')
+      .lean();
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    res.json(user.blockedUsers);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/users/me/export
+// @desc    Download the current user's data as JSON, or zipped with ?format=zip
+// @access  Private
+router.get(
+  '/me/export',
+  [
+    auth,
+    query('format')
+      .optional()
+      .isIn(['json', 'zip'])
+      .withMessage('Format must be json or zip'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), message: errors.array()[0].msg });
+    }
+
+    try {
+      const data = await buildExport(req.user.id);
+      
+      if (!data.profile) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      
+      const filename = `${data.profile.username}-export`;
+      
+      if (req.query.format !== 'zip') {
+        res.attachment(`${filename}.json`);
+        return res.send(JSON.stringify(data, null, 2));
+      }
+      
+      const archive = archiver('zip');
+      archive.on('error', err => {
+        console.error(err.message);
+        res.destroy(err);
+      });
+      
+      res.attachment(`${filename}.zip`);
+      archive.pipe(res);
+      Object.entries(data).forEach(([name, value]) => {
+        if (name !== 'exportedAt') {
+          archive.append(JSON.stringify(value, null, 2), { name: `${name}.json`, date: data.exportedAt });
+        }
+      });
+      await archive.finalize();
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   DELETE api/users/me
+// @desc    Delete the current user's account and anonymize or delete their content
+// @access  Private
+router.delete(
+  '/me',
+  [
+    auth,
+    body('password').not().isEmpty().withMessage('Password is required'),
+    body('content')
+      .isIn(['anonymize', 'delete'])
+      .withMessage('Content must be anonymize or delete'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), message: errors.array()[0].msg });
+    }
+
+    try {
+      const user = await User.findById(req.user.id);
+      
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      
+      // Ask for the password again before anything irreversible
+      const isMatch = await bcrypt.compare(req.body.password, user.password);
+      if (!isMatch) {
+        return res.status(400).json({ message: 'Invalid credentials' });
+      }
+      
+      // Marked first, so the deletion job finishes it if this attempt stops
+      // part way
+      await requestAccountDeletion(user._id, { deleteContent: req.body.content === 'delete' });
+      deleteAccount(user._id).catch(err => console.error('Account deletion failed:', err.message));
+      
+      res.clearCookie('token');
+      res.status(202).json({ message: 'Account deletion has started' });
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
 
 // @route   GET api/users/:username
 // @desc    Get user by username
 // @access  Public
-router.get('/:username', async (req, res) => {
+router.get('/:username', optionalAuth, async (req, res) => {
   try {
-    const user = await User.findOne({ username: req.params.username })
-      .select('-password -email')
+    const user = await User.findOne(byUsername(req.params.username))
+      .select('-password -email -blockedUsers -notificationPreferences -deletionRequestedAt -deleteContent')
       .lean();
     
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
     
-    // Calculate karma
-    const karma = await calculateKarma(user._id);
-    user.karma = karma;
+    user.karma = user.postKarma + user.commentKarma;
+    
+    // Counts are shown even when the follower list itself is private
+    const [followerCount, followingCount] = await Promise.all([
+      Follow.countDocuments({ following: user._id }),
+      Follow.countDocuments({ follower: user._id })
+    ]);
+    user.followerCount = followerCount;
+    user.followingCount = followingCount;
+    
+    if (req.user) {
+      user.isFollowing = Boolean(await Follow.exists({ follower: req.user.id, following: user._id }));
+    }
     
     res.json(user);
   } catch (err) {
@@ -31,42 +278,92 @@ router.get('/:username', async (req, res) => {
   }
 });
 
-// @route   GET api/users/:username/posts
-// @desc    Get posts by username
+// @route   GET api/users/:username/karma
+// @desc    Get a user's karma broken down by community
 // @access  Public
-router.get('/:username/posts', async (req, res) => {
+router.get('/:username/karma', optionalAuth, async (req, res) => {
   try {
-    const user = await User.findOne({ username: req.params.username });
+    const user = await User.findOne(byUsername(req.params.username))
+      .select('postKarma commentKarma')
+      .lean();
     
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
     
-    const posts = await Post.find({ author: user._id })
-      .sort({ createdAt: -1 })
-      .populate('author', 'username avatar')
-      .lean();
+    // Leave out private communities the viewer has not joined
+    const hidden = await getHiddenCommunityNames(req.user ? req.user.id : null);
     
-    // Get comment counts
-    const postIds = posts.map(post => post._id);
-    const commentCounts = await Comment.aggregate([
-      { $match: { post: { $in: postIds } } },
-      { $group: { _id: '$post', count: { $sum: 1 } } }
+    const communities = await CommunityKarma.aggregate([
+      { $match: { user: user._id, community: { $nin: hidden } } },
+      { $project: { _id: 0, community: 1, postKarma: 1, commentKarma: 1, karma: { $add: ['$postKarma', '$commentKarma'] } } },
+      { $sort: { karma: -1, community: 1 } }
     ]);
     
-    // Create a map of post ID to comment count
-    const commentCountMap = {};
-    commentCounts.forEach(item => {
-      commentCountMap[item._id.toString()] = item.count;
+    res.json({
+      karma: user.postKarma + user.commentKarma,
+      postKarma: user.postKarma,
+      commentKarma: user.commentKarma,
+      communities
     });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/users/:username/posts
+// @desc    Get posts by username (cursor paginated)
+// @access  Public
+router.get('/:username/posts', [optionalAuth, ...paginationValidators], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array(), message: errors.array()[0].msg });
+  }
+
+  try {
+    const user = await User.findOne(byUsername(req.params.username));
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    if (req.user && await isBlockedBetween(req.user.id, user._id)) {
+      return res.status(403).json({ message: 'You cannot view content from this user' });
+    }
     
-    // Add comment count to each post
-    const postsWithCommentCount = posts.map(post => ({
-      ...post,
-      commentCount: commentCountMap[post._id.toString()] || 0
-    }));
+    // Leave out posts from private communities the viewer has not joined
+    const hidden = await getHiddenCommunityNames(req.user ? req.user.id : null);
+    const filter = {
+      author: user._id,
+      community: { $nin: hidden },
+      isRemoved: { $ne: true },
+      isDeleted: { $ne: true }
+    };
     
-    res.json(postsWithCommentCount);
+    const { items, nextCursor, prevCursor } = await paginate({
+      sort: PROFILE_SORT,
+      after: req.query.after,
+      before: req.query.before,
+      limit: getLimit(req),
+      fetch: async ({ keyset, sort, limit }) => {
+        const posts = await Post.aggregate([
+          { $match: withKeyset(filter, keyset) },
+          { $sort: sort },
+          // And posts the viewer has hidden
+          ...excludeHiddenPosts(req.user ? req.user.id : null),
+          { $limit: limit }
+        ]);
+        
+        return Post.populate(posts, { path: 'author', select: 'username avatar' });
+      }
+    });
+    
+    res.json({
+      items: await addListingInfo(items, req.user ? req.user.id : null),
+      nextCursor,
+      prevCursor
+    });
   } catch (err) {
     console.error(err.message);
     res.status(500).json({ message: 'Server error' });
@@ -74,23 +371,208 @@ router.get('/:username/posts', async (req, res) => {
 });
 
 // @route   GET api/users/:username/comments
-// @desc    Get comments by username
+// @desc    Get comments by username (cursor paginated)
 // @access  Public
-router.get('/:username/comments', async (req, res) => {
+router.get('/:username/comments', [optionalAuth, ...paginationValidators], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array(), message: errors.array()[0].msg });
+  }
+
   try {
-    const user = await User.findOne({ username: req.params.username });
+    const user = await User.findOne(byUsername(req.params.username));
     
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
     
-    const comments = await Comment.find({ author: user._id })
-      .sort({ createdAt: -1 })
-      .populate('author', 'username avatar')
-      .populate('post', 'title community')
-      .lean();
+    if (req.user && await isBlockedBetween(req.user.id, user._id)) {
+      return res.status(403).json({ message: 'You cannot view content from this user' });
+    }
+    
+    // Leave out comments in private communities the viewer has not joined
+    const hidden = await getHiddenCommunityNames(req.user ? req.user.id : null);
+    const filter = { author: user._id, community: { $nin: hidden }, isDeleted: { $ne: true } };
+    
+    const page = await paginate({
+      sort: PROFILE_SORT,
+      after: req.query.after,
+      before: req.query.before,
+      limit: getLimit(req),
+      fetch: ({ keyset, sort, limit }) => Comment.find(withKeyset(filter, keyset))
+        .sort(sort)
+        .limit(limit)
+        .populate('author', 'username avatar')
+        .populate('post', 'title community')
+        .lean()
+    });
+    
+    // Hide what removed comments said
+    page.items.forEach(comment => {
+      if (comment.isRemoved) {
+        comment.content = '[removed]';
+        delete comment.removedBy;
+      }
+    });
+    
+    res.json(page);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/users/:username/follow
+// @desc    Follow a user
+// @access  Private
+router.post('/:username/follow', auth, async (req, res) => {
+  try {
+    const user = await User.findOne(byUsername(req.params.username)).select('_id');
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    if (user._id.toString() === req.user.id) {
+      return res.status(400).json({ message: 'You cannot follow yourself' });
+    }
+    
+    if (await isBlockedBetween(req.user.id, user._id)) {
+      return res.status(403).json({ message: 'You cannot follow this user' });
+    }
+    
+    // Following twice leaves a single follow
+    await Follow.updateOne(
+      { follower: req.user.id, following: user._id },
+      { $setOnInsert: { createdAt: Date.now() } },
+      { upsert: true }
+    );
+    
+    res.json({ message: 'User followed' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE api/users/:username/follow
+// @desc    Unfollow a user
+// @access  Private
+router.delete('/:username/follow', auth, async (req, res) => {
+  try {
+    const user = await User.findOne(byUsername(req.params.username)).select('_id');
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    await Follow.deleteOne({ follower: req.user.id, following: user._id });
+    
+    res.json({ message: 'User unfollowed' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/users/:username/followers
+// @desc    Get the users following a user (cursor paginated)
+// @access  Public unless the user has made their followers private
+router.get('/:username/followers', [optionalAuth, ...paginationValidators], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array(), message: errors.array()[0].msg });
+  }
+
+  try {
+    const user = await User.findOne(byUsername(req.params.username)).select('hideFollowers');
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    if (user.hideFollowers && (!req.user || req.user.id !== user._id.toString())) {
+      return res.status(403).json({ message: 'This user has made their followers private' });
+    }
     
-    res.json(comments);
+    res.json(await listFollows(req, { following: user._id }, 'follower'));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/users/:username/following
+// @desc    Get the users a user follows (cursor paginated)
+// @access  Public
+router.get('/:username/following', paginationValidators, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array(), message: errors.array()[0].msg });
+  }
+
+  try {
+    const user = await User.findOne(byUsername(req.params.username)).select('_id');
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    res.json(await listFollows(req, { follower: user._id }, 'following'));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/users/:username/block
+// @desc    Block a user
+// @access  Private
+router.post('/:username/block', auth, async (req, res) => {
+  try {
+    const user = await User.findOne(byUsername(req.params.username)).select('_id');
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    if (user._id.toString() === req.user.id) {
+      return res.status(400).json({ message: 'You cannot block yourself' });
+    }
+    
+    if (!await blockUser(req.user.id, user._id)) {
+      return res.status(400).json({ message: `You can block at most ${MAX_BLOCKED_USERS} users` });
+    }
+    
+    // Blocking ends following in both directions
+    await Follow.deleteMany({
+      $or: [
+        { follower: req.user.id, following: user._id },
+        { follower: user._id, following: req.user.id }
+      ]
+    });
+    
+    res.json({ message: 'User blocked' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE api/users/:username/block
+// @desc    Unblock a user
+// @access  Private
+router.delete('/:username/block', auth, async (req, res) => {
+  try {
+    const user = await User.findOne(byUsername(req.params.username)).select('_id');
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    await User.updateOne({ _id: req.user.id }, { $pull: { blockedUsers: user._id } });
+    
+    res.json({ message: 'User unblocked' });
   } catch (err) {
     console.error(err.message);
     res.status(500).json({ message: 'Server error' });
@@ -105,7 +587,15 @@ router.put(
   [
     auth,
     body('bio').optional().isLength({ max: 500 }).withMessage('Bio cannot exceed 500 characters'),
-    body('avatar').optional().isURL().withMessage('Avatar must be a valid URL'),
+    body('avatar')
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage('Avatar must be the ID of an uploaded image'),
+    body('hideFollowers')
+      .optional()
+      .isBoolean()
+      .withMessage('hideFollowers must be true or false')
+      .toBoolean(),
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -114,13 +604,27 @@ router.put(
     }
 
     try {
-      const { bio, avatar } = req.body;
+      const { bio, avatar, hideFollowers } = req.body;
       
       // Find user
       const user = await User.findById(req.user.id);
       
       if (bio !== undefined) user.bio = bio;
-      if (avatar !== undefined) user.avatar = avatar;
+      if (hideFollowers !== undefined) user.hideFollowers = hideFollowers;
+      
+      // Avatars are images the user uploaded; null clears the avatar
+      if (avatar === null) {
+        user.avatar = '';
+        user.avatarMedia = null;
+      } else if (avatar !== undefined) {
+        const media = await findOwnImage(avatar, req.user.id);
+        if (!media) {
+          return res.status(400).json({ message: 'Image not found' });
+        }
+        
+        user.avatar = getThumbnailUrl(media, 'small');
+        user.avatarMedia = media._id;
+      }
       
       await user.save();
       
@@ -135,22 +639,28 @@ router.put(
   }
 );
 
-// Helper function to calculate karma
-async function calculateKarma(userId) {
-  try {
-    // Get post votes
-    const posts = await Post.find({ author: userId });
-    const postKarma = posts.reduce((total, post) => total + post.votes, 0);
-    
-    // Get comment votes
-    const comments = await Comment.find({ author: userId });
-    const commentKarma = comments.reduce((total, comment) => total + comment.votes, 0);
-    
-    return postKarma + commentKarma;
-  } catch (err) {
-    console.error('Error calculating karma:', err);
-    return 0;
-  }
+// Helper function to list one side of a user's follows, newest first, as
+// the users on the other side
+async function listFollows(req, filter, field) {
+  const page = await paginate({
+    sort: PROFILE_SORT,
+    after: req.query.after,
+    before: req.query.before,
+    limit: getLimit(req),
+    fetch: ({ keyset, sort, limit }) => Follow.find(withKeyset(filter, keyset))
+      .sort(sort)
+      .limit(limit)
+      .populate(field, 'username avatar')
+      .lean()
+  });
+  
+  page.items = page.items.map(follow => ({
+    _id: follow._id,
+    user: follow[field],
+    followedAt: follow.createdAt
+  }));
+  
+  return page;
 }
 
 module.exports = router;
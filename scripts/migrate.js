@@ -0,0 +1,43 @@
+// Run the migrations in migrations/ that have not yet run against this
+// database, in file name order. Each migration module exports an async up();
+// finished migrations are recorded in the migrations collection. Runs before
+// `npm start`, and can be run by hand:
+//
+//   npm run migrate
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+async function main() {
+  await mongoose.connect(process.env.MONGODB_URI);
+  
+  const collection = mongoose.connection.db.collection('migrations');
+  const done = new Set((await collection.find().toArray()).map(migration => migration._id));
+  
+  const names = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => file.endsWith('.js'))
+    .map(file => path.basename(file, '.js'))
+    .sort();
+  
+  for (const name of names) {
+    if (done.has(name)) {
+      continue;
+    }
+    
+    console.log(`Running migration ${name}`);
+    await require(path.join(MIGRATIONS_DIR, name)).up();
+    await collection.insertOne({ _id: name, ranAt: new Date() });
+  }
+  
+  console.log('Migrations up to date');
+}
+
+main()
+  .catch(err => {
+    console.error('Migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
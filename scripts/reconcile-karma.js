@@ -0,0 +1,27 @@
+// Recompute user and per-community karma from the Vote collection and
+// report how many records were out of sync.
+//
+//   npm run reconcile:karma               report and fix discrepancies
+//   npm run reconcile:karma -- --dry-run  only report them
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { reconcileKarma } = require('../utils/karma');
+
+async function main() {
+  const fix = !process.argv.includes('--dry-run');
+  
+  await mongoose.connect(process.env.MONGODB_URI);
+  
+  const { users, communityRecords } = await reconcileKarma({ fix });
+  
+  console.log(`${users} user(s) out of sync`);
+  console.log(`${communityRecords} community karma record(s) out of sync`);
+  console.log(fix ? `Fixed ${users + communityRecords} record(s)` : 'Dry run, nothing changed');
+}
+
+main()
+  .catch(err => {
+    console.error('Karma reconciliation failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,39 @@
+// Recompute Post and Comment vote counters from the Vote collection and
+// report the items that were out of sync.
+//
+//   npm run reconcile:votes             report and fix discrepancies
+//   npm run reconcile:votes -- --dry-run  only report them
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { reconcileVoteCounts } = require('../utils/voting');
+
+async function main() {
+  const fix = !process.argv.includes('--dry-run');
+  
+  await mongoose.connect(process.env.MONGODB_URI);
+  
+  let total = 0;
+  for (const itemType of ['post', 'comment']) {
+    const count = await reconcileVoteCounts(itemType, {
+      fix,
+      onDiscrepancy: ({ id, stored, actual }) => {
+        console.log(
+          `${itemType} ${id}: stored ${stored.votes} (+${stored.upvotes}/-${stored.downvotes}),`
+          + ` actual ${actual.votes} (+${actual.upvotes}/-${actual.downvotes})`
+        );
+      }
+    });
+    total += count;
+    
+    console.log(`${count} ${itemType}(s) out of sync`);
+  }
+  
+  console.log(fix ? `Fixed ${total} item(s)` : 'Dry run, nothing changed');
+}
+
+main()
+  .catch(err => {
+    console.error('Vote reconciliation failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -12,6 +12,15 @@ const postRoutes = require('./routes/posts');
 const commentRoutes = require('./routes/comments');
 const communityRoutes = require('./routes/communities');
 const userRoutes = require('./routes/users');
+const searchRoutes = require('./routes/search');
+const notificationRoutes = require('./routes/notifications');
+const messageRoutes = require('./routes/messages');
+const streamRoutes = require('./routes/stream');
+const mediaRoutes = require('./routes/media');
+const { getStorage } = require('./utils/storage');
+const { startPurgeJob } = require('./utils/deletion');
+const { startAccountDeletionJob } = require('./utils/accounts');
+const { checkTransactionSupport } = require('./utils/transactions');
 
 // Initialize app
 const app = express();
@@ -41,6 +50,17 @@ app.use('/api/posts', postRoutes);
 app.use('/api/comments', commentRoutes);
 app.use('/api/communities', communityRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/messages', messageRoutes);
+app.use('/api/stream', streamRoutes);
+app.use('/api/media', mediaRoutes);
+
+// Serve uploads when they are stored on local disk
+const storage = getStorage();
+if (storage.dir) {
+  app.use(storage.baseUrl, express.static(storage.dir));
+}
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -54,9 +74,17 @@ app.use((err, req, res, next) => {
 
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI)
-  .then(() => {
+  .then(async () => {
     console.log('Connected to MongoDB');
     
+    await checkTransactionSupport();
+    
+    // Permanently remove deleted content once its retention period is over
+    startPurgeJob();
+    
+    // Finish account deletions that were interrupted
+    startAccountDeletionJob();
+    
     // Start server
     const PORT = process.env.PORT || 3000;
     app.listen(PORT, () => {
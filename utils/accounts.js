@@ -0,0 +1,278 @@
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Vote = require('../models/Vote');
+const PollVote = require('../models/PollVote');
+const SavedItem = require('../models/SavedItem');
+const HiddenPost = require('../models/HiddenPost');
+const Community = require('../models/Community');
+const CommunityKarma = require('../models/CommunityKarma');
+const UserFlair = require('../models/UserFlair');
+const Notification = require('../models/Notification');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Ban = require('../models/Ban');
+const Follow = require('../models/Follow');
+const { getRankingScores } = require('./voting');
+const { applyKarmaChanges } = require('./karma');
+const { getDeletedUser } = require('./deletedUser');
+const { withTransaction } = require('./transactions');
+const { withLock } = require('./locks');
+const { BATCH_SIZE } = require('./batches');
+
+// How often interrupted account deletions are picked up again, and how long
+// one server may work on a deletion before another can take it over
+const DELETION_INTERVAL = 60 * 60 * 1000;
+const DELETION_LOCK_TTL = 60 * 60 * 1000;
+
+// Everything the site stores about a user that they created or chose
+async function buildExport(userId) {
+  const [profile, posts, comments, votes, pollVotes, savedItems, following, communities] = await Promise.all([
+    User.findById(userId).select('-password').lean(),
+    Post.find({ author: userId }).sort({ createdAt: 1 }).lean(),
+    Comment.find({ author: userId }).sort({ createdAt: 1 }).lean(),
+    Vote.find({ user: userId }).select('-user').sort({ createdAt: 1 }).lean(),
+    PollVote.find({ user: userId }).select('-user').sort({ createdAt: 1 }).lean(),
+    SavedItem.find({ user: userId }).select('-user').sort({ createdAt: 1 }).lean(),
+    Follow.find({ follower: userId }).select('following createdAt').populate('following', 'username').lean(),
+    Community.find({ $or: [{ members: userId }, { moderators: userId }, { creator: userId }] })
+      .select('name creator moderators')
+      .lean()
+  ]);
+  
+  return {
+    exportedAt: new Date(),
+    profile,
+    posts,
+    comments,
+    votes,
+    pollVotes,
+    savedItems,
+    following: following.map(follow => ({
+      username: follow.following ? follow.following.username : null,
+      followedAt: follow.createdAt
+    })),
+    communities: communities.map(community => ({
+      name: community.name,
+      isCreator: community.creator.toString() === userId.toString(),
+      isModerator: community.moderators.some(id => id.toString() === userId.toString())
+    }))
+  };
+}
+
+// Take back a batch of a user's votes within `session`, adjusting the
+// counters of what they voted on and the karma it earned its authors.
+// Returns how many votes were removed.
+async function removeVoteBatch(userId, session) {
+  const votes = await Vote.find({ user: userId }).limit(BATCH_SIZE).session(session).lean();
+  if (votes.length === 0) {
+    return 0;
+  }
+  
+  await Vote.deleteMany({ _id: { $in: votes.map(vote => vote._id) } }, { session });
+  
+  const karmaChanges = [];
+  
+  for (const [itemType, Model] of Object.entries({ post: Post, comment: Comment })) {
+    const typed = votes.filter(vote => vote.itemType === itemType);
+    if (typed.length === 0) {
+      continue;
+    }
+    
+    await Model.bulkWrite(typed.map(vote => ({
+      updateOne: {
+        filter: { _id: vote.item },
+        update: {
+          $inc: {
+            votes: -vote.value,
+            upvotes: vote.value === 1 ? -1 : 0,
+            downvotes: vote.value === -1 ? -1 : 0
+          }
+        }
+      }
+    })), { session });
+    
+    const items = await Model.find({ _id: { $in: typed.map(vote => vote.item) } })
+      .select('author community isDeleted votes upvotes downvotes createdAt')
+      .session(session)
+      .lean();
+    
+    if (itemType === 'post' && items.length > 0) {
+      await Post.bulkWrite(items.map(post => ({
+        updateOne: { filter: { _id: post._id }, update: { $set: getRankingScores(post) } }
+      })), { session });
+    }
+    
+    // Deleted items already had their karma taken back
+    const byId = new Map(items.map(item => [item._id.toString(), item]));
+    typed.forEach(vote => {
+      const item = byId.get(vote.item.toString());
+      if (item && !item.isDeleted && item.author.toString() !== userId.toString()) {
+        karmaChanges.push({ user: item.author, community: item.community, type: itemType, amount: -vote.value });
+      }
+    });
+  }
+  
+  await applyKarmaChanges(karmaChanges, session);
+  
+  return votes.length;
+}
+
+// Take back a batch of a user's poll votes within `session`. Returns how
+// many were removed.
+async function removePollVoteBatch(userId, session) {
+  const pollVotes = await PollVote.find({ user: userId }).limit(BATCH_SIZE).session(session).lean();
+  if (pollVotes.length === 0) {
+    return 0;
+  }
+  
+  await PollVote.deleteMany({ _id: { $in: pollVotes.map(pollVote => pollVote._id) } }, { session });
+  await Post.bulkWrite(pollVotes.map(pollVote => ({
+    updateOne: {
+      filter: { _id: pollVote.post },
+      update: { $inc: { [`poll.options.${pollVote.option}.votes`]: -1, 'poll.totalVotes': -1 } }
+    }
+  })), { session });
+  
+  return pollVotes.length;
+}
+
+// Take back all of a user's votes, a transaction per batch
+async function removeVotes(userId) {
+  for (const removeBatch of [removeVoteBatch, removePollVoteBatch]) {
+    let removed;
+    do {
+      removed = await withTransaction(session => removeBatch(userId, session));
+    } while (removed > 0);
+  }
+}
+
+// Take a user out of every community, handing communities they created to
+// their longest-serving other moderator, or failing that their oldest member
+async function leaveCommunities(userId, deletedUserId) {
+  const id = userId.toString();
+  const created = await Community.find({ creator: userId });
+  
+  for (const community of created) {
+    const successor = community.moderators.find(modId => modId.toString() !== id)
+      || community.members.find(memberId => memberId.toString() !== id);
+    
+    // Nobody is left to take over an empty community
+    if (!successor) {
+      community.creator = deletedUserId;
+      await community.save();
+      continue;
+    }
+    
+    // The new owner gets every permission
+    community.creator = successor;
+    if (!community.moderators.some(modId => modId.equals(successor))) {
+      community.moderators.push(successor);
+    }
+    community.moderatorPermissions = community.moderatorPermissions.filter(
+      entry => !entry.user.equals(successor)
+    );
+    
+    await community.save();
+  }
+  
+  await Community.updateMany({ members: userId }, { $pull: { members: userId }, $inc: { memberCount: -1 } });
+  await Community.updateMany(
+    {
+      $or: [
+        { moderators: userId },
+        { 'moderatorPermissions.user': userId },
+        { 'moderatorInvites.user': userId },
+        { approvedSubmitters: userId },
+        { 'joinRequests.user': userId },
+        { mutedUsers: userId }
+      ]
+    },
+    {
+      $pull: {
+        moderators: userId,
+        moderatorPermissions: { user: userId },
+        moderatorInvites: { user: userId },
+        approvedSubmitters: userId,
+        joinRequests: { user: userId },
+        mutedUsers: userId
+      }
+    }
+  );
+}
+
+// Mark a user's account for deletion. They can no longer log in, and
+// deleteAccount removes the account in the background.
+async function requestAccountDeletion(userId, { deleteContent = false } = {}) {
+  await User.updateOne({ _id: userId }, { $set: { deletionRequestedAt: new Date(), deleteContent } });
+}
+
+// Delete an account marked for deletion. Their posts and comments stay,
+// credited to the placeholder account, and are also deleted when they asked
+// for that; messages they exchanged stay for the other side. Every step can
+// run again, so a deletion that stopped part way is finished by the next
+// attempt; the user record goes last.
+async function deleteAccount(userId) {
+  return withLock(`account-deletion:${userId}`, DELETION_LOCK_TTL, async () => {
+    const user = await User.findById(userId).select('deletionRequestedAt deleteContent');
+    if (!user || !user.deletionRequestedAt) {
+      return;
+    }
+    
+    const deletedUser = await getDeletedUser();
+    
+    await removeVotes(userId);
+    await leaveCommunities(userId, deletedUser._id);
+    
+    // Deleted content is erased later by the purge job
+    if (user.deleteContent) {
+      const deleted = { isDeleted: true, deletedAt: new Date() };
+      await Post.updateMany({ author: userId, isDeleted: { $ne: true } }, deleted);
+      await Comment.updateMany({ author: userId, isDeleted: { $ne: true } }, deleted);
+    }
+    
+    await Post.updateMany({ author: userId }, { author: deletedUser._id });
+    await Comment.updateMany({ author: userId }, { author: deletedUser._id });
+    
+    await Message.updateMany({ sender: userId }, { sender: deletedUser._id });
+    await Message.updateMany({ recipient: userId }, { recipient: deletedUser._id });
+    await Conversation.updateMany({ participants: userId }, { $set: { 'participants.$': deletedUser._id } });
+    
+    await SavedItem.deleteMany({ user: userId });
+    await HiddenPost.deleteMany({ user: userId });
+    await Notification.deleteMany({ user: userId });
+    await CommunityKarma.deleteMany({ user: userId });
+    await UserFlair.deleteMany({ user: userId });
+    await Ban.deleteMany({ user: userId });
+    await Follow.deleteMany({ $or: [{ follower: userId }, { following: userId }] });
+    await User.updateMany({ blockedUsers: userId }, { $pull: { blockedUsers: userId } });
+    
+    await User.deleteOne({ _id: userId });
+  });
+}
+
+// Finish every account deletion that has been requested
+async function resumeAccountDeletions() {
+  const pending = User.find({ deletionRequestedAt: { $exists: true } }).select('_id').lean().cursor();
+  
+  for await (const user of pending) {
+    await deleteAccount(user._id).catch(err => console.error('Account deletion failed:', err.message));
+  }
+}
+
+// Finish interrupted account deletions now and then every hour in the
+// background
+function startAccountDeletionJob() {
+  const run = () => resumeAccountDeletions()
+    .catch(err => console.error('Account deletion failed:', err.message));
+  
+  run();
+  setInterval(run, DELETION_INTERVAL).unref();
+}
+
+module.exports = {
+  buildExport,
+  requestAccountDeletion,
+  deleteAccount,
+  startAccountDeletionJob
+};
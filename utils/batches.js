@@ -0,0 +1,27 @@
+// Large collections are processed in bounded batches, so memory use and
+// the size of each bulk write or $in list stay fixed
+const BATCH_SIZE = 500;
+
+// Group what an async iterable (such as a query cursor) yields into arrays
+// of at most `size` items
+async function* inBatches(iterable, size = BATCH_SIZE) {
+  let batch = [];
+  
+  for await (const item of iterable) {
+    batch.push(item);
+    
+    if (batch.length >= size) {
+      yield batch;
+      batch = [];
+    }
+  }
+  
+  if (batch.length > 0) {
+    yield batch;
+  }
+}
+
+module.exports = {
+  BATCH_SIZE,
+  inBatches
+};
@@ -0,0 +1,53 @@
+const User = require('../models/User');
+
+// Blocked users are left out of every listing, so keep the list short
+const MAX_BLOCKED_USERS = 1000;
+
+// IDs of the users a user has blocked
+async function getBlockedUserIds(userId) {
+  if (!userId) {
+    return [];
+  }
+  
+  const user = await User.findById(userId).select('blockedUsers').lean();
+  return user ? user.blockedUsers : [];
+}
+
+// Check whether a user has blocked another
+async function hasBlocked(userId, otherId) {
+  return Boolean(await User.exists({ _id: userId, blockedUsers: otherId }));
+}
+
+// Check whether either user has blocked the other
+async function isBlockedBetween(userId, otherId) {
+  const count = await User.countDocuments({
+    $or: [
+      { _id: userId, blockedUsers: otherId },
+      { _id: otherId, blockedUsers: userId }
+    ]
+  });
+  
+  return count > 0;
+}
+
+// Add a user to another's block list. Returns false if the list is full.
+async function blockUser(userId, otherId) {
+  const result = await User.updateOne(
+    {
+      _id: userId,
+      // Already blocked, or room for one more
+      $or: [{ blockedUsers: otherId }, { [`blockedUsers.${MAX_BLOCKED_USERS - 1}`]: { $exists: false } }]
+    },
+    { $addToSet: { blockedUsers: otherId } }
+  );
+  
+  return result.matchedCount > 0;
+}
+
+module.exports = {
+  MAX_BLOCKED_USERS,
+  getBlockedUserIds,
+  hasBlocked,
+  isBlockedBetween,
+  blockUser
+};
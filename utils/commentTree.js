@@ -0,0 +1,235 @@
+const mongoose = require('mongoose');
+const Comment = require('../models/Comment');
+const { wilsonScoreExpression, controversyScoreExpression } = require('./ranking');
+
+const COMMENT_SORT_MODES = ['best', 'top', 'new', 'old', 'controversial', 'qa'];
+const DEFAULT_SORT = 'best';
+
+const DEFAULT_DEPTH = 5;
+const MAX_DEPTH = 10;
+const DEFAULT_LIMIT = 50;
+const DEFAULT_REPLY_LIMIT = 10;
+
+// Key used for comments without a parentComment
+const ROOT = 'root';
+
+// Sibling order for a sort mode: the computed fields it sorts on and the
+// MongoDB sort. Ties fall back to newest first.
+function getCommentOrder(sort, { opId = null } = {}) {
+  const upvotes = { $ifNull: ['$upvotes', 0] };
+  const downvotes = { $ifNull: ['$downvotes', 0] };
+  const newestFirst = { createdAt: -1, _id: -1 };
+  
+  switch (sort) {
+    case 'top':
+      return { fields: {}, sort: { votes: -1, ...newestFirst } };
+    case 'new':
+      return { fields: {}, sort: newestFirst };
+    case 'old':
+      return { fields: {}, sort: { createdAt: 1, _id: 1 } };
+    case 'controversial':
+      return {
+        fields: { rankScore: controversyScoreExpression(upvotes, downvotes) },
+        sort: { rankScore: -1, ...newestFirst }
+      };
+    case 'qa':
+      // Replies from the original poster first, then best. Deleted and
+      // removed comments never count as the OP's.
+      return {
+        fields: {
+          rankScore: wilsonScoreExpression(upvotes, downvotes),
+          isOpReply: {
+            $and: [
+              { $eq: ['$author', opId] },
+              { $ne: ['$isDeleted', true] },
+              { $ne: ['$isRemoved', true] }
+            ]
+          }
+        },
+        sort: { isOpReply: -1, rankScore: -1, ...newestFirst }
+      };
+    default:
+      return {
+        fields: { rankScore: wilsonScoreExpression(upvotes, downvotes) },
+        sort: { rankScore: -1, ...newestFirst }
+      };
+  }
+}
+
+// Continuation tokens are opaque to clients: base64url encoded parent and offset
+function encodeContinuation(parent, offset) {
+  return Buffer.from(JSON.stringify({ p: parent, o: offset })).toString('base64url');
+}
+
+function decodeContinuation(token) {
+  try {
+    const { p, o } = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+    
+    if ((p !== null && !mongoose.isObjectIdOrHexString(p)) || !Number.isInteger(o) || o < 0) {
+      return null;
+    }
+    
+    return { parent: p, offset: o };
+  } catch (err) {
+    return null;
+  }
+}
+
+// Load one page of a post's comment tree: `limit` comments below `parent`
+// from `offset`, then level by level up to `replyLimit` replies to each
+// comment loaded, down to `depth` levels. Only the comments on the page are
+// read into memory. Every comment gets a `replyCount`; returns them in
+// order along with how many siblings the page was taken from.
+async function loadCommentPage(postId, {
+  parent = null,
+  offset = 0,
+  limit = DEFAULT_LIMIT,
+  depth = DEFAULT_DEPTH,
+  replyLimit = DEFAULT_REPLY_LIMIT,
+  order
+}) {
+  const post = new mongoose.Types.ObjectId(postId);
+  const parentId = parent ? new mongoose.Types.ObjectId(parent) : null;
+  const computed = Object.keys(order.fields);
+  const ranked = computed.length > 0 ? [{ $addFields: order.fields }] : [];
+  
+  const [siblings, total] = await Promise.all([
+    Comment.aggregate([
+      { $match: { post, parentComment: parentId } },
+      ...ranked,
+      { $sort: order.sort },
+      { $skip: offset },
+      { $limit: limit },
+      ...(computed.length > 0 ? [{ $unset: computed }] : [])
+    ]),
+    Comment.countDocuments({ post, parentComment: parentId })
+  ]);
+  
+  const comments = [...siblings];
+  let level = siblings;
+  
+  for (let levelDepth = 1; level.length > 0; levelDepth++) {
+    const ids = level.map(comment => comment._id);
+    const byId = new Map(level.map(comment => [comment._id.toString(), comment]));
+    level.forEach(comment => {
+      comment.replyCount = 0;
+    });
+    
+    // At the depth limit the replies are only counted
+    if (levelDepth >= depth) {
+      const counts = await Comment.aggregate([
+        { $match: { post, parentComment: { $in: ids } } },
+        { $group: { _id: '$parentComment', count: { $sum: 1 } } }
+      ]);
+      counts.forEach(({ _id, count }) => {
+        byId.get(_id.toString()).replyCount = count;
+      });
+      break;
+    }
+    
+    // The first replies to each comment on this level, with how many it has
+    const replies = await Comment.aggregate([
+      { $match: { post, parentComment: { $in: ids } } },
+      ...ranked,
+      {
+        $setWindowFields: {
+          partitionBy: '$parentComment',
+          sortBy: order.sort,
+          output: { replyRank: { $documentNumber: {} }, siblingCount: { $count: {} } }
+        }
+      },
+      { $match: { replyRank: { $lte: replyLimit } } },
+      { $sort: order.sort },
+      { $unset: [...computed, 'replyRank'] }
+    ]);
+    
+    replies.forEach(reply => {
+      byId.get(reply.parentComment.toString()).replyCount = reply.siblingCount;
+      delete reply.siblingCount;
+    });
+    
+    comments.push(...replies);
+    level = replies;
+  }
+  
+  return { comments, total };
+}
+
+// Group comments by the ID of the comment they reply to, keeping their order
+function groupByParent(comments) {
+  const children = {};
+  
+  comments.forEach(comment => {
+    const key = comment.parentComment ? comment.parentComment.toString() : ROOT;
+    if (!children[key]) {
+      children[key] = [];
+    }
+    children[key].push(comment);
+  });
+  
+  return children;
+}
+
+// Nest a page loaded by loadCommentPage below `parent`. Branches cut off by
+// the depth or reply limits carry a `moreReplies` continuation that resumes
+// the tree from that point.
+function buildCommentTree(comments, {
+  parent = null,
+  offset = 0,
+  total = 0,
+  depth = DEFAULT_DEPTH
+} = {}) {
+  const children = groupByParent(comments);
+  const getReplies = id => children[id] || [];
+  
+  const buildNode = (comment, level) => {
+    const id = comment._id.toString();
+    const replies = getReplies(id);
+    const node = {
+      ...comment,
+      replies: [],
+      moreReplies: null
+    };
+    
+    if (level >= depth) {
+      if (comment.replyCount > 0) {
+        node.moreReplies = { count: comment.replyCount, continuation: encodeContinuation(id, 0) };
+      }
+      return node;
+    }
+    
+    node.replies = replies.map(reply => buildNode(reply, level + 1));
+    
+    if (comment.replyCount > replies.length) {
+      node.moreReplies = {
+        count: comment.replyCount - replies.length,
+        continuation: encodeContinuation(id, replies.length)
+      };
+    }
+    
+    return node;
+  };
+  
+  const page = getReplies(parent || ROOT);
+  const remaining = total - (offset + page.length);
+  
+  return {
+    comments: page.map(comment => buildNode(comment, 1)),
+    more: remaining > 0
+      ? { count: remaining, continuation: encodeContinuation(parent, offset + page.length) }
+      : null
+  };
+}
+
+module.exports = {
+  COMMENT_SORT_MODES,
+  DEFAULT_SORT,
+  DEFAULT_DEPTH,
+  MAX_DEPTH,
+  DEFAULT_LIMIT,
+  DEFAULT_REPLY_LIMIT,
+  getCommentOrder,
+  loadCommentPage,
+  buildCommentTree,
+  decodeContinuation
+};
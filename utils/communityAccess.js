@@ -0,0 +1,72 @@
+const Community = require('../models/Community');
+const Ban = require('../models/Ban');
+const { isModerator } = require('./moderation');
+
+// Check whether a user is in a community's member list
+function isMember(community, userId) {
+  return Boolean(userId) && community.members.some(member => member.toString() === userId);
+}
+
+// Private communities can only be read by their members and moderators
+function canView(community, userId) {
+  if (community.type !== 'private') {
+    return true;
+  }
+  return Boolean(userId) && (isMember(community, userId) || isModerator(community, userId));
+}
+
+// Restricted communities only take posts from moderators and approved
+// submitters; private ones from members
+function canSubmit(community, userId) {
+  if (isModerator(community, userId)) {
+    return true;
+  }
+  if (community.type === 'restricted') {
+    return community.approvedSubmitters.some(submitter => submitter.toString() === userId);
+  }
+  if (community.type === 'private') {
+    return isMember(community, userId);
+  }
+  return true;
+}
+
+// Names of the private communities whose content the user may not read
+function getHiddenCommunityNames(userId) {
+  const filter = { type: 'private' };
+  
+  if (userId) {
+    filter.members = { $ne: userId };
+    filter.moderators = { $ne: userId };
+  }
+  
+  return Community.find(filter).distinct('name');
+}
+
+// Filter for community listings that leaves out private communities the
+// user has not joined or does not moderate, matching canView
+function visibleCommunityFilter(userId) {
+  return userId
+    ? { $or: [{ type: { $ne: 'private' } }, { members: userId }, { moderators: userId }] }
+    : { type: { $ne: 'private' } };
+}
+
+// Condition matching bans that are still in force. Expired bans are also
+// deleted by a TTL index, but that only runs about once a minute.
+function activeBanFilter() {
+  return { $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] };
+}
+
+// Find the user's ban from a community, if one is in force
+function getActiveBan(community, userId) {
+  return Ban.findOne({ community: community._id, user: userId, ...activeBanFilter() });
+}
+
+module.exports = {
+  isMember,
+  canView,
+  canSubmit,
+  getHiddenCommunityNames,
+  visibleCommunityFilter,
+  activeBanFilter,
+  getActiveBan
+};
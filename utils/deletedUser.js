@@ -0,0 +1,30 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+
+// Content left behind by deleted accounts is credited to a shared
+// placeholder account. Its username cannot be registered or logged in to,
+// and it cannot be messaged, followed, blocked or given karma.
+const DELETED_USERNAME = '[deleted]';
+
+// Find the placeholder account, creating it the first time
+async function getDeletedUser() {
+  const password = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+  
+  return User.findOneAndUpdate(
+    { username: DELETED_USERNAME },
+    { $setOnInsert: { username: DELETED_USERNAME, email: 'deleted@invalid', password } },
+    { upsert: true, new: true }
+  );
+}
+
+// Check whether a user ID belongs to the placeholder account
+async function isDeletedUser(userId) {
+  return Boolean(await User.exists({ _id: userId, username: DELETED_USERNAME }));
+}
+
+module.exports = {
+  DELETED_USERNAME,
+  getDeletedUser,
+  isDeletedUser
+};
@@ -0,0 +1,169 @@
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Vote = require('../models/Vote');
+const PollVote = require('../models/PollVote');
+const SavedItem = require('../models/SavedItem');
+const HiddenPost = require('../models/HiddenPost');
+const Revision = require('../models/Revision');
+const Report = require('../models/Report');
+const { inBatches } = require('./batches');
+const { withLock } = require('./locks');
+
+// Deleted posts and comments stay in place, shown as [deleted], so their
+// threads keep their shape. Once the retention period has passed they are
+// purged: items nothing else hangs off are removed for good, while comments
+// with replies and posts with comments are kept as empty placeholders.
+
+const DEFAULT_RETENTION_DAYS = 30;
+const PURGE_INTERVAL = 60 * 60 * 1000;
+// Renewed after every batch, so a purge that stalls loses the lock well
+// before the next run is due
+const PURGE_LOCK_TTL = 10 * 60 * 1000;
+
+// How long deleted content is kept, from DELETED_RETENTION_DAYS
+function getRetentionPeriod() {
+  const days = parseFloat(process.env.DELETED_RETENTION_DAYS);
+  return (Number.isFinite(days) && days >= 0 ? days : DEFAULT_RETENTION_DAYS) * 24 * 60 * 60 * 1000;
+}
+
+// Mark a post or comment as deleted by its author
+async function softDelete(item) {
+  item.isDeleted = true;
+  item.deletedAt = Date.now();
+  
+  await item.save();
+}
+
+// Hide what a deleted or removed post or comment said, and who wrote it.
+// Works on lean documents; callers skip it for the community's moderators.
+function hideContent(item) {
+  const label = item.isDeleted ? '[deleted]' : '[removed]';
+  
+  item.content = label;
+  item.author = { username: label };
+  delete item.url;
+  delete item.media;
+  delete item.removedBy;
+  
+  return item;
+}
+
+// Clean up everything attached to items that are being erased
+async function removeItemData(ids) {
+  await Vote.deleteMany({ item: { $in: ids } });
+  await SavedItem.deleteMany({ item: { $in: ids } });
+  await Revision.deleteMany({ item: { $in: ids } });
+  await Report.deleteMany({ item: { $in: ids } });
+}
+
+// Split deleted items into those something still depends on and the rest
+async function partitionByDependents(items, Model, field) {
+  const ids = items.map(item => item._id);
+  const withDependents = new Set(
+    (await Model.distinct(field, { [field]: { $in: ids } })).map(id => id.toString())
+  );
+  
+  return {
+    keep: items.filter(item => withDependents.has(item._id.toString())),
+    remove: items.filter(item => !withDependents.has(item._id.toString()))
+  };
+}
+
+// Erase a batch of deleted comments
+async function purgeComments(comments) {
+  const { keep, remove } = await partitionByDependents(comments, Comment, 'parentComment');
+  
+  const removed = remove.map(comment => comment._id);
+  await Comment.deleteMany({ _id: { $in: removed } });
+  await removeItemData(removed);
+  
+  const shells = keep.filter(comment => !comment.purgedAt).map(comment => comment._id);
+  await Comment.updateMany(
+    { _id: { $in: shells } },
+    { $set: { content: '[deleted]', purgedAt: new Date() } }
+  );
+  await SavedItem.deleteMany({ item: { $in: shells } });
+  await Revision.deleteMany({ item: { $in: shells } });
+  
+  return { removed: removed.length, emptied: shells.length };
+}
+
+// Erase a batch of deleted posts
+async function purgePosts(posts) {
+  const { keep, remove } = await partitionByDependents(posts, Comment, 'post');
+  
+  const removed = remove.map(post => post._id);
+  await Post.deleteMany({ _id: { $in: removed } });
+  await removeItemData(removed);
+  await HiddenPost.deleteMany({ post: { $in: removed } });
+  await PollVote.deleteMany({ post: { $in: removed } });
+  
+  const shells = keep.filter(post => !post.purgedAt).map(post => post._id);
+  await Post.updateMany(
+    { _id: { $in: shells } },
+    {
+      $set: { title: '[deleted]', content: '', purgedAt: new Date() },
+      $unset: { url: 1, domain: 1, media: 1, poll: 1, flair: 1 }
+    }
+  );
+  await SavedItem.deleteMany({ item: { $in: shells } });
+  await Revision.deleteMany({ item: { $in: shells } });
+  await PollVote.deleteMany({ post: { $in: shells } });
+  
+  return { removed: removed.length, emptied: shells.length };
+}
+
+// Permanently remove content deleted before `before`, a batch at a time. A
+// chain of deleted replies collapses one level per run, as each purge frees
+// the parent of the comments it removed. `keepGoing` is awaited after each
+// batch; the purge stops early when it resolves to false.
+async function purgeDeleted(
+  before = new Date(Date.now() - getRetentionPeriod()),
+  keepGoing = async () => true
+) {
+  const deleted = { isDeleted: true, deletedAt: { $lte: before } };
+  const result = { commentsRemoved: 0, commentsEmptied: 0, postsRemoved: 0, postsEmptied: 0 };
+  
+  const comments = Comment.find(deleted).select('purgedAt').lean().cursor();
+  for await (const batch of inBatches(comments)) {
+    const { removed, emptied } = await purgeComments(batch);
+    result.commentsRemoved += removed;
+    result.commentsEmptied += emptied;
+    
+    if (!await keepGoing()) {
+      return result;
+    }
+  }
+  
+  const posts = Post.find(deleted).select('purgedAt').lean().cursor();
+  for await (const batch of inBatches(posts)) {
+    const { removed, emptied } = await purgePosts(batch);
+    result.postsRemoved += removed;
+    result.postsEmptied += emptied;
+    
+    if (!await keepGoing()) {
+      return result;
+    }
+  }
+  
+  return result;
+}
+
+// Run the purge now and then every hour in the background. The lock keeps
+// servers running side by side from purging at the same time; a purge that
+// can no longer renew it stops, as another server may have taken over.
+function startPurgeJob() {
+  const run = () => withLock('purge-deleted', PURGE_LOCK_TTL, renew => purgeDeleted(undefined, renew))
+    .catch(err => console.error('Purge failed:', err.message));
+  
+  run();
+  setInterval(run, PURGE_INTERVAL).unref();
+}
+
+module.exports = {
+  getRetentionPeriod,
+  softDelete,
+  hideContent,
+  purgeDeleted,
+  startPurgeJob
+};
@@ -0,0 +1,155 @@
+const EventEmitter = require('events');
+const mongoose = require('mongoose');
+
+// Real-time events are published on channels: one per post, per community
+// and per user (for their notifications). The bus delivering them is
+// pluggable: the in-process bus only reaches subscribers in this process,
+// the MongoDB bus relays events between every process sharing the database.
+// Set EVENT_BUS=mongo when running more than one server process, or plug in
+// another broker with setEventBus().
+
+function postChannel(postId) {
+  return `post:${postId}`;
+}
+
+function communityChannel(name) {
+  return `community:${name}`;
+}
+
+function userChannel(userId) {
+  return `user:${userId}`;
+}
+
+// Bus delivering events to subscribers in this process only
+function createMemoryBus() {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+  
+  return {
+    async publish(channel, event) {
+      emitter.emit(channel, event);
+    },
+    subscribe(channel, listener) {
+      emitter.on(channel, listener);
+      return () => emitter.off(channel, listener);
+    }
+  };
+}
+
+// Bus backed by a capped collection. Every process appends its events and
+// tails the collection with a tailable cursor, handing what it reads to its
+// own subscribers.
+function createMongoBus({ collectionName = 'events', size = 16 * 1024 * 1024 } = {}) {
+  const local = createMemoryBus();
+  let ready = null;
+  
+  function getCollection() {
+    if (!ready) {
+      ready = (async () => {
+        await mongoose.connection.asPromise();
+        const { db } = mongoose.connection;
+        
+        const exists = await db.listCollections({ name: collectionName }).hasNext();
+        if (!exists) {
+          try {
+            await db.createCollection(collectionName, { capped: true, size });
+          } catch (err) {
+            // Another process created it first
+            if (err.codeName !== 'NamespaceExists') {
+              throw err;
+            }
+          }
+        }
+        
+        const collection = db.collection(collectionName);
+        tail(collection);
+        return collection;
+      })();
+    }
+    
+    return ready;
+  }
+  
+  async function tail(collection) {
+    // Only relay events published after this process started listening
+    const latest = await collection.find().sort({ $natural: -1 }).limit(1).next();
+    let lastId = latest ? latest._id : null;
+    
+    for (;;) {
+      const cursor = collection.find(lastId ? { _id: { $gt: lastId } } : {}, {
+        tailable: true,
+        awaitData: true
+      });
+      
+      try {
+        for await (const doc of cursor) {
+          lastId = doc._id;
+          local.publish(doc.channel, doc.event);
+        }
+      } catch (err) {
+        console.error('Event bus error:', err.message);
+      }
+      
+      // Tailable cursors end when the collection is empty; retry shortly
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+  }
+  
+  return {
+    async publish(channel, event) {
+      const collection = await getCollection();
+      await collection.insertOne({ channel, event, createdAt: new Date() });
+    },
+    subscribe(channel, listener) {
+      getCollection().catch(err => console.error('Event bus error:', err.message));
+      return local.subscribe(channel, listener);
+    }
+  };
+}
+
+let bus = null;
+
+function getEventBus() {
+  if (!bus) {
+    bus = process.env.EVENT_BUS === 'mongo' ? createMongoBus() : createMemoryBus();
+  }
+  
+  return bus;
+}
+
+// Replace the event bus, e.g. with an adapter for another message broker.
+// It must provide publish(channel, event) and subscribe(channel, listener),
+// where subscribe returns a function that unsubscribes.
+function setEventBus(eventBus) {
+  bus = eventBus;
+}
+
+// Publish an event to one or more channels. Failures are logged rather than
+// failing the request that triggered the event.
+async function publish(channels, type, data) {
+  const event = { type, data, publishedAt: new Date().toISOString() };
+  
+  try {
+    await Promise.all(
+      [].concat(channels).map(channel => getEventBus().publish(channel, event))
+    );
+  } catch (err) {
+    console.error('Error publishing event:', err.message);
+  }
+}
+
+function subscribe(channel, listener) {
+  return getEventBus().subscribe(channel, listener);
+}
+
+module.exports = {
+  postChannel,
+  communityChannel,
+  userChannel,
+  createMemoryBus,
+  createMongoBus,
+  getEventBus,
+  setEventBus,
+  publish,
+  subscribe
+};
@@ -0,0 +1,67 @@
+const UserFlair = require('../models/UserFlair');
+const { isModerator } = require('./moderation');
+
+// Community fields holding the templates of each kind of flair
+const FLAIR_FIELDS = {
+  post: 'postFlairs',
+  user: 'userFlairs'
+};
+
+// Find a flair template the user may pick. Returns null when there is no
+// such template, or when it is mod-only and the user is not a moderator.
+function findUsableFlair(community, kind, flairId, userId) {
+  const template = community[FLAIR_FIELDS[kind]].find(
+    item => item._id.toString() === flairId.toString()
+  );
+  
+  if (!template || (template.modOnly && !isModerator(community, userId))) {
+    return null;
+  }
+  
+  return template;
+}
+
+// The copy of a template stored on a post or user flair
+function toFlair(template) {
+  return {
+    template: template._id,
+    text: template.text,
+    color: template.color
+  };
+}
+
+// Add each author's flair in the item's community to a list of (lean) posts
+// or comments. `communityOf` gives the community name of an item.
+async function addAuthorFlairs(items, communityOf = item => item.community) {
+  const withAuthors = items.filter(item => item.author && item.author._id);
+  if (withAuthors.length === 0) {
+    return items;
+  }
+  
+  const flairs = await UserFlair.find({
+    user: { $in: withAuthors.map(item => item.author._id) },
+    community: { $in: [...new Set(withAuthors.map(communityOf))] }
+  }).lean();
+  
+  const flairMap = {};
+  flairs.forEach(flair => {
+    flairMap[`${flair.community}:${flair.user}`] = { text: flair.text, color: flair.color };
+  });
+  
+  // Populated authors can be shared between items, so each gets its own copy
+  withAuthors.forEach(item => {
+    item.author = {
+      ...item.author,
+      flair: flairMap[`${communityOf(item)}:${item.author._id}`] || null
+    };
+  });
+  
+  return items;
+}
+
+module.exports = {
+  FLAIR_FIELDS,
+  findUsableFlair,
+  toFlair,
+  addAuthorFlairs
+};
@@ -0,0 +1,296 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const CommunityKarma = require('../models/CommunityKarma');
+const Vote = require('../models/Vote');
+const { inBatches } = require('./batches');
+const { DELETED_USERNAME } = require('./deletedUser');
+
+// User fields holding the karma of each kind of item
+const KARMA_FIELDS = {
+  post: 'postKarma',
+  comment: 'commentKarma'
+};
+
+// Add `amount` to a user's post or comment karma, overall and in the
+// community. Failures are logged rather than failing the vote;
+// `npm run reconcile:karma` repairs any drift.
+async function applyKarma(userId, community, type, amount) {
+  if (!amount) {
+    return;
+  }
+  
+  const field = KARMA_FIELDS[type];
+  
+  try {
+    // The placeholder for deleted accounts earns nothing
+    const result = await User.updateOne(
+      { _id: userId, username: { $ne: DELETED_USERNAME } },
+      { $inc: { [field]: amount } }
+    );
+    
+    if (result.matchedCount > 0 && community) {
+      await CommunityKarma.updateOne(
+        { user: userId, community },
+        { $inc: { [field]: amount } },
+        { upsert: true }
+      );
+    }
+  } catch (err) {
+    console.error('Error updating karma:', err.message);
+  }
+}
+
+// Apply many karma changes at once, each { user, community, type, amount },
+// summed per user and community. Unlike applyKarma, failures are thrown so
+// the transaction in `session` rolls back.
+async function applyKarmaChanges(changes, session) {
+  const deletedUser = await User.findOne({ username: DELETED_USERNAME }).select('_id').session(session);
+  
+  const totals = new Map();
+  changes.forEach(({ user, community, type, amount }) => {
+    // The placeholder for deleted accounts earns nothing
+    if (!amount || (deletedUser && deletedUser._id.equals(user))) {
+      return;
+    }
+    
+    const key = `${user}:${community}`;
+    if (!totals.has(key)) {
+      totals.set(key, { user, community, postKarma: 0, commentKarma: 0 });
+    }
+    totals.get(key)[KARMA_FIELDS[type]] += amount;
+  });
+  
+  if (totals.size === 0) {
+    return;
+  }
+  
+  const entries = [...totals.values()];
+  
+  await User.bulkWrite(entries.map(({ user, postKarma, commentKarma }) => ({
+    updateOne: { filter: { _id: user }, update: { $inc: { postKarma, commentKarma } } }
+  })), { session });
+  
+  const inCommunities = entries.filter(entry => entry.community);
+  if (inCommunities.length > 0) {
+    await CommunityKarma.bulkWrite(inCommunities.map(({ user, community, postKarma, commentKarma }) => ({
+      updateOne: {
+        filter: { user, community },
+        update: { $inc: { postKarma, commentKarma } },
+        upsert: true
+      }
+    })), { session });
+  }
+}
+
+// Take back the karma that deleted posts or comments earned their authors.
+// `items` need _id and author; `community` is the name they were posted in.
+async function revokeKarma(items, type, community) {
+  if (items.length === 0) {
+    return;
+  }
+  
+  const authors = {};
+  items.forEach(item => {
+    authors[item._id.toString()] = item.author.toString();
+  });
+  
+  const votes = await Vote.find({ item: { $in: items.map(item => item._id) }, itemType: type })
+    .select('item user value')
+    .lean();
+  
+  // Sum the votes per author, leaving out their own
+  const totals = {};
+  votes.forEach(vote => {
+    const author = authors[vote.item.toString()];
+    if (vote.user.toString() !== author) {
+      totals[author] = (totals[author] || 0) + vote.value;
+    }
+  });
+  
+  await Promise.all(
+    Object.entries(totals).map(([author, total]) => applyKarma(author, community, type, -total))
+  );
+}
+
+// Votes on other people's items, summed per author and community
+function karmaPipeline(type) {
+  const lookupItem = {
+    $lookup: {
+      from: type === 'post' ? 'posts' : 'comments',
+      localField: 'item',
+      foreignField: '_id',
+      as: 'target',
+      // Deleted items no longer count
+      pipeline: [
+        { $match: { isDeleted: { $ne: true } } },
+        { $project: { author: 1, community: 1, post: 1 } }
+      ]
+    }
+  };
+  
+  // Comments take their community from their post
+  const lookupCommunity = type === 'comment'
+    ? [
+      {
+        $lookup: {
+          from: 'posts',
+          localField: 'target.post',
+          foreignField: '_id',
+          as: 'post',
+          pipeline: [{ $project: { community: 1 } }]
+        }
+      },
+      { $unwind: '$post' },
+      { $set: { 'target.community': '$post.community' } }
+    ]
+    : [];
+  
+  return [
+    { $match: { itemType: type } },
+    lookupItem,
+    { $unwind: '$target' },
+    ...lookupCommunity,
+    { $match: { $expr: { $ne: ['$user', '$target.author'] } } },
+    {
+      $group: {
+        _id: { user: '$target.author', community: '$target.community' },
+        karma: { $sum: '$value' }
+      }
+    }
+  ];
+}
+
+// Votes on other people's items, summed per author and community into the
+// karma field for the item type
+function expectedKarmaPipeline(type) {
+  return [
+    ...karmaPipeline(type),
+    { $project: { [KARMA_FIELDS[type]]: '$karma' } }
+  ];
+}
+
+// Recompute every user's karma from the Vote collection and, with `fix`,
+// correct the stored totals that have drifted. The expected totals are built
+// in a scratch collection and compared by streaming, with fixes written in
+// batches. Returns how many records were out of sync.
+async function reconcileKarma({ fix = true } = {}) {
+  const db = mongoose.connection.db;
+  const scratch = `karma_reconcile_${new mongoose.Types.ObjectId()}`;
+  const deletedUser = await User.findOne({ username: DELETED_USERNAME }).select('_id');
+  
+  try {
+    // Expected karma per author and community; the placeholder for deleted
+    // accounts should have none
+    await Vote.aggregate([
+      ...expectedKarmaPipeline('post'),
+      { $unionWith: { coll: Vote.collection.name, pipeline: expectedKarmaPipeline('comment') } },
+      ...(deletedUser ? [{ $match: { '_id.user': { $ne: deletedUser._id } } }] : []),
+      {
+        $group: {
+          _id: { user: '$_id.user', community: '$_id.community' },
+          postKarma: { $sum: '$postKarma' },
+          commentKarma: { $sum: '$commentKarma' }
+        }
+      },
+      { $out: scratch }
+    ]).allowDiskUse(true);
+    await db.collection(scratch).createIndex({ '_id.user': 1 });
+    
+    // Users whose stored totals differ, including those who should have none
+    const userMismatches = User.aggregate([
+      { $project: { postKarma: 1, commentKarma: 1 } },
+      { $lookup: { from: scratch, localField: '_id', foreignField: '_id.user', as: 'totals' } },
+      {
+        $project: {
+          stored: { postKarma: '$postKarma', commentKarma: '$commentKarma' },
+          expected: {
+            postKarma: { $sum: '$totals.postKarma' },
+            commentKarma: { $sum: '$totals.commentKarma' }
+          }
+        }
+      },
+      { $match: { $expr: { $ne: ['$stored', '$expected'] } } }
+    ]).allowDiskUse(true).cursor();
+    
+    let users = 0;
+    for await (const batch of inBatches(userMismatches)) {
+      users += batch.length;
+      if (fix) {
+        await User.bulkWrite(batch.map(user => ({
+          updateOne: { filter: { _id: user._id }, update: { $set: user.expected } }
+        })));
+      }
+    }
+    
+    // Community records that are missing or differ
+    const communityMismatches = db.collection(scratch).aggregate([
+      {
+        $lookup: {
+          from: CommunityKarma.collection.name,
+          let: { user: '$_id.user', community: '$_id.community' },
+          pipeline: [
+            {
+              $match: {
+                $expr: { $and: [{ $eq: ['$user', '$$user'] }, { $eq: ['$community', '$$community'] }] }
+              }
+            },
+            { $project: { postKarma: 1, commentKarma: 1 } }
+          ],
+          as: 'stored'
+        }
+      },
+      { $unwind: { path: '$stored', preserveNullAndEmptyArrays: true } },
+      {
+        $match: {
+          $expr: {
+            $or: [
+              { $ne: ['$stored.postKarma', '$postKarma'] },
+              { $ne: ['$stored.commentKarma', '$commentKarma'] }
+            ]
+          }
+        }
+      }
+    ], { allowDiskUse: true });
+    
+    let communityRecords = 0;
+    for await (const batch of inBatches(communityMismatches)) {
+      communityRecords += batch.length;
+      if (fix) {
+        await CommunityKarma.bulkWrite(batch.map(({ _id, postKarma, commentKarma }) => ({
+          updateOne: {
+            filter: { user: _id.user, community: _id.community },
+            update: { $set: { postKarma, commentKarma } },
+            upsert: true
+          }
+        })));
+      }
+    }
+    
+    // Community records nothing supports any more
+    const orphaned = CommunityKarma.aggregate([
+      { $project: { key: { user: '$user', community: '$community' } } },
+      { $lookup: { from: scratch, localField: 'key', foreignField: '_id', as: 'expected' } },
+      { $match: { expected: { $size: 0 } } },
+      { $project: { _id: 1 } }
+    ]).allowDiskUse(true).cursor();
+    
+    for await (const batch of inBatches(orphaned)) {
+      communityRecords += batch.length;
+      if (fix) {
+        await CommunityKarma.deleteMany({ _id: { $in: batch.map(record => record._id) } });
+      }
+    }
+    
+    return { users, communityRecords };
+  } finally {
+    await db.collection(scratch).drop().catch(() => {});
+  }
+}
+
+module.exports = {
+  KARMA_FIELDS,
+  applyKarma,
+  applyKarmaChanges,
+  revokeKarma,
+  reconcileKarma
+};
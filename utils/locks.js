@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const Lock = require('../models/Lock');
+
+// Run `fn(renew)` while holding the named lock, which lasts at most `ttl`
+// milliseconds unless `fn` calls `renew` to extend it by another `ttl`.
+// `renew` resolves to false once the lock has expired and may have been
+// taken over, so work longer than `ttl` should renew between steps and stop
+// when that happens. Returns what `fn` returns, or null without running it
+// when another server holds the lock.
+async function withLock(name, ttl, fn) {
+  const holder = new mongoose.Types.ObjectId();
+  
+  try {
+    // Matches only a missing or expired lock; a held one makes the upsert
+    // collide with it
+    await Lock.updateOne(
+      { _id: name, expiresAt: { $lte: new Date() } },
+      { $set: { holder, expiresAt: new Date(Date.now() + ttl) } },
+      { upsert: true }
+    );
+  } catch (err) {
+    if (err.code === 11000) {
+      return null;
+    }
+    throw err;
+  }
+  
+  const renew = async () => {
+    const { modifiedCount } = await Lock.updateOne(
+      { _id: name, holder, expiresAt: { $gt: new Date() } },
+      { $set: { expiresAt: new Date(Date.now() + ttl) } }
+    );
+    return modifiedCount > 0;
+  };
+  
+  try {
+    return await fn(renew);
+  } finally {
+    await Lock.deleteOne({ _id: name, holder });
+  }
+}
+
+module.exports = {
+  withLock
+};
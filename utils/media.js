@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const Media = require('../models/Media');
+const { getStorage } = require('./storage');
+
+// Accepted image formats, keyed by the format sharp detects in the file
+const IMAGE_FORMATS = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  gif: 'image/gif'
+};
+
+const MAX_UPLOAD_SIZE = 10 * 1024 * 1024;
+
+// Width of each generated thumbnail
+const THUMBNAIL_SIZES = {
+  small: 140,
+  medium: 320,
+  large: 640
+};
+
+// Store an uploaded image with its thumbnails and record it. The file's
+// contents decide its type, not the name or the client's content type.
+// Returns null when the file is not a supported image.
+async function storeImage(buffer, uploaderId) {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (err) {
+    return null;
+  }
+  
+  const mimeType = IMAGE_FORMATS[metadata.format];
+  if (!mimeType) {
+    return null;
+  }
+  
+  // Re-encoding drops EXIF and other metadata; rotate() first applies the
+  // EXIF orientation so the image still displays the right way up
+  const { data, info } = await sharp(buffer, { animated: true })
+    .rotate()
+    .toFormat(metadata.format)
+    .toBuffer({ resolveWithObject: true });
+  
+  const storage = getStorage();
+  const mediaId = new mongoose.Types.ObjectId();
+  const key = `media/${mediaId}/original.${metadata.format === 'jpeg' ? 'jpg' : metadata.format}`;
+  const url = await storage.save(key, data, mimeType);
+  
+  const thumbnails = [];
+  for (const [name, width] of Object.entries(THUMBNAIL_SIZES)) {
+    const thumbnail = await sharp(data)
+      .resize({ width, withoutEnlargement: true })
+      .webp()
+      .toBuffer({ resolveWithObject: true });
+    
+    const thumbnailKey = `media/${mediaId}/${name}.webp`;
+    thumbnails.push({
+      name,
+      key: thumbnailKey,
+      url: await storage.save(thumbnailKey, thumbnail.data, 'image/webp'),
+      width: thumbnail.info.width,
+      height: thumbnail.info.height
+    });
+  }
+  
+  return Media.create({
+    _id: mediaId,
+    uploader: uploaderId,
+    url,
+    key,
+    mimeType,
+    size: data.length,
+    width: info.width,
+    // Animated images are stacked frames; report the height of one
+    height: info.pageHeight || info.height,
+    thumbnails
+  });
+}
+
+// Find an image the user uploaded, or null if there is none with that ID
+async function findOwnImage(mediaId, userId) {
+  if (!mongoose.Types.ObjectId.isValid(mediaId)) {
+    return null;
+  }
+  
+  const media = await Media.findById(mediaId);
+  if (!media || media.uploader.toString() !== userId || !media.mimeType.startsWith('image/')) {
+    return null;
+  }
+  
+  return media;
+}
+
+// URL of a named thumbnail, falling back to the original file
+function getThumbnailUrl(media, name) {
+  const thumbnail = media.thumbnails.find(item => item.name === name);
+  return thumbnail ? thumbnail.url : media.url;
+}
+
+module.exports = {
+  IMAGE_FORMATS,
+  MAX_UPLOAD_SIZE,
+  THUMBNAIL_SIZES,
+  storeImage,
+  findOwnImage,
+  getThumbnailUrl
+};
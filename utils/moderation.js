@@ -0,0 +1,238 @@
+const { body } = require('express-validator');
+const Community = require('../models/Community');
+const Post = require('../models/Post');
+const ModLog = require('../models/ModLog');
+const Report = require('../models/Report');
+const { notify } = require('./notifications');
+const { postChannel, communityChannel, publish } = require('./events');
+
+// Validators for the optional reason given when removing content
+const removalValidators = [
+  body('ruleIndex')
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('Rule index must be a non-negative integer')
+    .toInt(),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Reason cannot exceed 300 characters'),
+];
+
+// Check whether a user moderates a community (moderators may be populated)
+function isModerator(community, userId) {
+  return community.moderators.some(mod => (mod._id || mod).toString() === userId);
+}
+
+// Permissions a moderator can be given: posts (remove, approve and review
+// reports), config (settings), members (join requests, approved submitters)
+// and rules
+const MODERATOR_PERMISSIONS = Community.schema
+  .path('moderatorPermissions').schema
+  .path('permissions').caster.enumValues;
+
+// Check whether a user created (owns) a community
+function isCreator(community, userId) {
+  return (community.creator._id || community.creator).toString() === userId;
+}
+
+// Get the permissions a user holds in a community
+function getPermissions(community, userId) {
+  if (!isModerator(community, userId)) {
+    return [];
+  }
+  if (isCreator(community, userId)) {
+    return MODERATOR_PERMISSIONS;
+  }
+  
+  const entry = (community.moderatorPermissions || []).find(
+    item => item.user.toString() === userId
+  );
+  
+  // A missing entry never grants anything
+  return entry ? entry.permissions : [];
+}
+
+// Check whether a moderator holds a permission in a community
+function hasPermission(community, userId, permission) {
+  return getPermissions(community, userId).includes(permission);
+}
+
+// Find the community a post was submitted to
+function getPostCommunity(post) {
+  return Community.findOne({ name: post.community });
+}
+
+// Find the community of the post a comment belongs to
+async function getCommentCommunity(comment) {
+  const post = await Post.findById(comment.post).select('community');
+  return post ? getPostCommunity(post) : null;
+}
+
+// Build a removal or report reason from an optional rule index and free
+// text. Returns null when the rule index does not exist.
+function getRemovalReason(community, { ruleIndex, reason }) {
+  const parts = [];
+  
+  if (ruleIndex !== undefined && ruleIndex !== null) {
+    const rule = community.rules[ruleIndex];
+    if (!rule) {
+      return null;
+    }
+    parts.push(rule);
+  }
+  
+  if (reason) {
+    parts.push(reason);
+  }
+  
+  return parts.join(': ');
+}
+
+// Record a moderator action in the community's moderation log
+function logModAction({ community, moderator, action, target, targetType, targetUser, reason }) {
+  return ModLog.create({
+    community: community._id,
+    moderator,
+    action,
+    target,
+    targetType,
+    targetUser,
+    reason: reason || ''
+  });
+}
+
+// Mark a post or comment as removed by a moderator and log it
+async function removeContent(item, { community, moderator, reason, type }) {
+  item.isRemoved = true;
+  item.removedBy = moderator;
+  item.removedAt = Date.now();
+  item.removalReason = reason || '';
+  item.approvedBy = undefined;
+  item.approvedAt = undefined;
+  
+  await item.save();
+  
+  // Removed content leaves the mod queue
+  await Report.deleteOne({ item: item._id });
+  
+  await logModAction({
+    community,
+    moderator,
+    action: `remove_${type}`,
+    target: item._id,
+    targetType: type === 'post' ? 'Post' : 'Comment',
+    targetUser: item.author,
+    reason
+  });
+  
+  await notify(item.author, {
+    type: 'mod_removal',
+    actor: moderator,
+    post: type === 'post' ? item._id : item.post,
+    comment: type === 'comment' ? item._id : undefined,
+    community: community.name,
+    message: reason ? `Removed: ${reason}` : 'Removed by a moderator'
+  });
+  
+  // Tell anyone watching the post or community to hide the content
+  if (type === 'post') {
+    await publish([postChannel(item._id), communityChannel(community.name)], 'post_removed', {
+      post: item._id
+    });
+  } else {
+    await publish(postChannel(item.post), 'comment_removed', { comment: item._id });
+  }
+}
+
+// Approve a post or comment, restoring it if it was removed, and log it
+async function approveContent(item, { community, moderator, type }) {
+  item.isRemoved = false;
+  item.removedBy = undefined;
+  item.removedAt = undefined;
+  item.removalReason = '';
+  item.approvedBy = moderator;
+  item.approvedAt = Date.now();
+  
+  await item.save();
+  
+  // Approving clears any reports against the item
+  await Report.deleteOne({ item: item._id });
+  
+  await logModAction({
+    community,
+    moderator,
+    action: `approve_${type}`,
+    target: item._id,
+    targetType: type === 'post' ? 'Post' : 'Comment',
+    targetUser: item.author
+  });
+}
+
+// Add a user's report to the item's report document, putting an ignored
+// item back in the mod queue. Returns false if the user has already reported
+// the item.
+async function fileReport(item, { community, reporter, reason, type }) {
+  try {
+    await Report.findOneAndUpdate(
+      { item: item._id, 'reports.user': { $ne: reporter } },
+      {
+        $push: { reports: { user: reporter, reason } },
+        $inc: { reportCount: 1 },
+        $set: { lastReportedAt: Date.now(), isIgnored: false },
+        $setOnInsert: {
+          community: community._id,
+          itemType: type === 'post' ? 'Post' : 'Comment'
+        }
+      },
+      { upsert: true }
+    );
+    
+    return true;
+  } catch (err) {
+    // The upsert collides with the existing document when the user already reported it
+    if (err.code === 11000) {
+      return false;
+    }
+    throw err;
+  }
+}
+
+// Keep an item's reports but take it out of the mod queue. Returns false if
+// the item has no reports.
+async function ignoreReports(item, { community, moderator, type }) {
+  const result = await Report.updateOne({ item: item._id }, { isIgnored: true });
+  
+  if (result.matchedCount === 0) {
+    return false;
+  }
+  
+  await logModAction({
+    community,
+    moderator,
+    action: `ignore_reports_${type}`,
+    target: item._id,
+    targetType: type === 'post' ? 'Post' : 'Comment',
+    targetUser: item.author
+  });
+  
+  return true;
+}
+
+module.exports = {
+  MODERATOR_PERMISSIONS,
+  removalValidators,
+  isModerator,
+  isCreator,
+  getPermissions,
+  hasPermission,
+  getPostCommunity,
+  getCommentCommunity,
+  getRemovalReason,
+  logModAction,
+  removeContent,
+  approveContent,
+  fileReport,
+  ignoreReports
+};
@@ -0,0 +1,87 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { userChannel, publish } = require('./events');
+
+const NOTIFICATION_TYPES = Notification.schema.path('type').enumValues;
+
+// u/username (or /u/username) mentions, not inside a longer word or path
+const MENTION_PATTERN = /(?:^|[^\w/])\/?u\/([a-zA-Z0-9_-]{3,20})/g;
+
+// Only the first few users mentioned in a post or comment are notified
+const MAX_MENTIONS = 10;
+
+// Usernames mentioned in a piece of text, without duplicates
+function extractMentions(text) {
+  const usernames = new Set();
+  
+  for (const match of (text || '').matchAll(MENTION_PATTERN)) {
+    if (usernames.size >= MAX_MENTIONS) {
+      break;
+    }
+    usernames.add(match[1]);
+  }
+  
+  return [...usernames];
+}
+
+// Create a notification unless the recipient caused it, has blocked the
+// user who did, or has turned the type off. Failures are logged rather than
+// failing the request that triggered the notification.
+async function notify(recipientId, { type, actor, post, comment, community, message }) {
+  try {
+    if (!recipientId || (actor && recipientId.toString() === actor.toString())) {
+      return;
+    }
+    
+    const recipient = await User.findById(recipientId).select('notificationPreferences blockedUsers');
+    if (!recipient || recipient.notificationPreferences[type] === false) {
+      return;
+    }
+    if (actor && recipient.blockedUsers.some(id => id.toString() === actor.toString())) {
+      return;
+    }
+    
+    const notification = await Notification.create({
+      user: recipient._id,
+      type,
+      actor,
+      post,
+      comment,
+      community,
+      message: message || ''
+    });
+    
+    await publish(userChannel(recipient._id), 'notification', notification);
+  } catch (err) {
+    console.error('Error creating notification:', err.message);
+  }
+}
+
+// Notify every user mentioned in `text`, except those in `skip` (already
+// notified some other way) and those `canSee` rejects, who cannot read it
+async function notifyMentions(text, { skip = [], canSee = () => true, ...details }) {
+  const usernames = extractMentions(text);
+  if (usernames.length === 0) {
+    return;
+  }
+  
+  try {
+    const skipped = skip.map(id => id.toString());
+    const users = await User.find({ username: { $in: usernames } }).select('_id');
+    
+    await Promise.all(
+      users
+        .filter(user => !skipped.includes(user._id.toString()) && canSee(user._id.toString()))
+        .map(user => notify(user._id, { type: 'mention', ...details }))
+    );
+  } catch (err) {
+    console.error('Error creating mention notifications:', err.message);
+  }
+}
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  extractMentions,
+  notify,
+  notifyMentions
+};
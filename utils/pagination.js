@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+const { query } = require('express-validator');
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+// Cursor values are plain JSON, so dates and ObjectIds are tagged to
+// survive the round trip
+function serializeValue(value) {
+  if (value instanceof Date) {
+    return { d: value.toISOString() };
+  }
+  if (value instanceof mongoose.Types.ObjectId) {
+    return { o: value.toString() };
+  }
+  return value;
+}
+
+function deserializeValue(value) {
+  if (value !== null && typeof value === 'object') {
+    if (typeof value.d === 'string') {
+      return new Date(value.d);
+    }
+    if (typeof value.o === 'string' && mongoose.Types.ObjectId.isValid(value.o)) {
+      return new mongoose.Types.ObjectId(value.o);
+    }
+    throw new Error('Invalid cursor value');
+  }
+  return value;
+}
+
+// A cursor records the sort key values of one item, which sort they belong
+// to and the reference time the listing was first loaded at
+function encodeCursor(doc, sort, signature, now) {
+  const payload = {
+    s: signature,
+    v: sort.map(([field]) => serializeValue(doc[field])),
+    n: now
+  };
+  
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(token) {
+  try {
+    const { s, v, n } = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+    
+    if (typeof s !== 'string' || !Array.isArray(v) || !Number.isInteger(n)) {
+      return null;
+    }
+    
+    return { signature: s, values: v.map(deserializeValue), now: n };
+  } catch (err) {
+    return null;
+  }
+}
+
+// Match everything strictly past the cursor position in sort order
+function buildKeysetFilter(sort, values, direction) {
+  const forward = direction === 'after';
+  
+  return {
+    $or: sort.map(([field, order], i) => {
+      const clause = {};
+      
+      sort.slice(0, i).forEach(([previous], j) => {
+        clause[previous] = values[j];
+      });
+      clause[field] = { [(order === -1) === forward ? '$lt' : '$gt']: values[i] };
+      
+      return clause;
+    })
+  };
+}
+
+// Fetch one page of a listing using keyset pagination.
+// `sort` is a list of [field, order] pairs that must end with a unique field
+// (normally _id). `fetch` receives the keyset filter to merge into its query,
+// the MongoDB sort, how many items to load and the listing's reference time.
+// Cursors issued for a different sort are ignored and the first page is returned.
+async function paginate({ sort, after, before, limit, fetch }) {
+  const signature = sort.map(([field, order]) => `${field}:${order}`).join(',');
+  const direction = before ? 'before' : 'after';
+  const token = before || after;
+  const decoded = token ? decodeCursor(token) : null;
+  const cursor = decoded && decoded.signature === signature && decoded.values.length === sort.length
+    ? decoded
+    : null;
+  const backward = cursor !== null && direction === 'before';
+  const now = cursor ? cursor.now : Date.now();
+  
+  const order = {};
+  sort.forEach(([field, value]) => {
+    order[field] = backward ? -value : value;
+  });
+  
+  const docs = await fetch({
+    keyset: cursor ? buildKeysetFilter(sort, cursor.values, direction) : null,
+    sort: order,
+    limit: limit + 1,
+    now
+  });
+  
+  const hasExtra = docs.length > limit;
+  const items = docs.slice(0, limit);
+  if (backward) {
+    items.reverse();
+  }
+  
+  const encode = doc => encodeCursor(doc, sort, signature, now);
+  const hasNext = backward || hasExtra;
+  const hasPrev = backward ? hasExtra : cursor !== null;
+  
+  return {
+    items,
+    nextCursor: items.length > 0 && hasNext ? encode(items[items.length - 1]) : null,
+    prevCursor: items.length > 0 && hasPrev ? encode(items[0]) : null
+  };
+}
+
+// Combine a base filter with the keyset filter handed to `fetch`
+function withKeyset(filter, keyset) {
+  return keyset ? { $and: [filter, keyset] } : filter;
+}
+
+// Requested page size, capped at MAX_LIMIT
+function getLimit(req, defaultLimit = DEFAULT_LIMIT) {
+  return Math.min(parseInt(req.query.limit) || defaultLimit, MAX_LIMIT);
+}
+
+// Validators shared by every paginated listing
+const paginationValidators = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Limit must be a positive integer'),
+  query('after')
+    .optional()
+    .custom(value => decodeCursor(value) !== null)
+    .withMessage('Invalid cursor'),
+  query('before')
+    .optional()
+    .custom(value => decodeCursor(value) !== null)
+    .withMessage('Invalid cursor')
+    .custom((value, { req }) => req.query.after === undefined)
+    .withMessage('Use either after or before, not both'),
+];
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  paginate,
+  withKeyset,
+  getLimit,
+  paginationValidators
+};
@@ -0,0 +1,65 @@
+const PollVote = require('../models/PollVote');
+
+function isPollClosed(poll, now = Date.now()) {
+  return new Date(poll.closesAt).getTime() <= now;
+}
+
+// Shape a poll for a viewer. Tallies stay hidden until the viewer has voted
+// (userChoice is their option index, or null) or the poll has closed.
+function formatPoll(poll, userChoice) {
+  const isClosed = isPollClosed(poll);
+  const resultsVisible = isClosed || userChoice !== null;
+  
+  const formatted = {
+    options: poll.options.map(option => (
+      resultsVisible ? { text: option.text, votes: option.votes } : { text: option.text }
+    )),
+    closesAt: poll.closesAt,
+    isClosed,
+    resultsVisible,
+    userChoice
+  };
+  
+  if (resultsVisible) {
+    formatted.totalVotes = poll.totalVotes;
+  }
+  
+  return formatted;
+}
+
+// Format the polls in a page of (lean) posts for a user
+async function addPollInfo(posts, userId) {
+  const pollIds = posts
+    .filter(post => post.kind === 'poll' && post.poll)
+    .map(post => post._id);
+  
+  if (pollIds.length === 0) {
+    return posts;
+  }
+  
+  const choices = {};
+  if (userId) {
+    const votes = await PollVote.find({ post: { $in: pollIds }, user: userId })
+      .select('post option')
+      .lean();
+    
+    votes.forEach(vote => {
+      choices[vote.post.toString()] = vote.option;
+    });
+  }
+  
+  return posts.map(post => {
+    if (post.kind !== 'poll' || !post.poll) {
+      return post;
+    }
+    
+    const choice = choices[post._id.toString()];
+    return { ...post, poll: formatPoll(post.poll, choice === undefined ? null : choice) };
+  });
+}
+
+module.exports = {
+  isPollClosed,
+  formatPoll,
+  addPollInfo
+};
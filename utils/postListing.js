@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Vote = require('../models/Vote');
+const SavedItem = require('../models/SavedItem');
+const HiddenPost = require('../models/HiddenPost');
+const { addPollInfo } = require('./polls');
+const { addAuthorFlairs } = require('./flair');
+
+// Age limits for the `t` query parameter of top and controversial listings
+const TIME_WINDOWS = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000,
+  year: 365 * 24 * 60 * 60 * 1000,
+  all: null
+};
+
+// Aggregation stages that drop the posts a user has hidden. They go after a
+// listing's $sort and before its $limit, so pages still come back full.
+function excludeHiddenPosts(userId) {
+  if (!userId) {
+    return [];
+  }
+  
+  return [
+    {
+      $lookup: {
+        from: HiddenPost.collection.name,
+        let: { post: '$_id' },
+        pipeline: [
+          {
+            $match: {
+              user: new mongoose.Types.ObjectId(userId),
+              $expr: { $eq: ['$post', '$$post'] }
+            }
+          },
+          { $project: { _id: 1 } }
+        ],
+        as: 'hiddenBy'
+      }
+    },
+    { $match: { hiddenBy: { $size: 0 } } },
+    { $unset: 'hiddenBy' }
+  ];
+}
+
+// IDs (as strings) of the given items that a user has saved
+async function getSavedItemIds(userId, itemIds) {
+  if (!userId) {
+    return new Set();
+  }
+  
+  const saved = await SavedItem.find({ user: userId, item: { $in: itemIds } }).distinct('item');
+  return new Set(saved.map(id => id.toString()));
+}
+
+// Add comment counts, the user's votes and saves, media, poll results and
+// author flair to a page of posts
+async function addListingInfo(posts, userId) {
+  const postIds = posts.map(post => post._id);
+  
+  // Get comment counts
+  const commentCounts = await Comment.aggregate([
+    { $match: { post: { $in: postIds } } },
+    { $group: { _id: '$post', count: { $sum: 1 } } }
+  ]);
+  
+  // Create a map of post ID to comment count
+  const commentCountMap = {};
+  commentCounts.forEach(item => {
+    commentCountMap[item._id.toString()] = item.count;
+  });
+  
+  const savedIds = await getSavedItemIds(userId, postIds);
+  
+  // If user is authenticated, get their votes
+  const userVotes = {};
+  if (userId) {
+    const votes = await Vote.find({
+      user: userId,
+      item: { $in: postIds },
+      itemType: 'post'
+    });
+    
+    votes.forEach(vote => {
+      userVotes[vote.item.toString()] = vote.value;
+    });
+  }
+  
+  // Image posts carry their uploaded media
+  await Post.populate(posts, { path: 'media', select: 'url mimeType width height' });
+  
+  const withInfo = posts.map(post => ({
+    ...post,
+    commentCount: commentCountMap[post._id.toString()] || 0,
+    userVote: userVotes[post._id.toString()] || 0,
+    isSaved: savedIds.has(post._id.toString())
+  }));
+  
+  await addAuthorFlairs(withInfo);
+  
+  return addPollInfo(withInfo, userId);
+}
+
+module.exports = {
+  TIME_WINDOWS,
+  excludeHiddenPosts,
+  getSavedItemIds,
+  addListingInfo
+};
@@ -0,0 +1,121 @@
+// Reference epoch for the hot ranking (Dec 8 2005), kept fixed so stored
+// scores from different days stay comparable with each other
+const HOT_EPOCH_SECONDS = 1134028003;
+
+// Time-decayed score: every 12.5 hours of age is worth a 10x vote difference
+function calculateHotScore(votes, createdAt) {
+  const order = Math.log10(Math.max(Math.abs(votes), 1));
+  const sign = votes > 0 ? 1 : votes < 0 ? -1 : 0;
+  const seconds = new Date(createdAt).getTime() / 1000 - HOT_EPOCH_SECONDS;
+
+  return Number((sign * order + seconds / 45000).toFixed(7));
+}
+
+// High vote volume with a near-even split scores highest
+function calculateControversyScore(upvotes, downvotes) {
+  if (upvotes <= 0 || downvotes <= 0) {
+    return 0;
+  }
+
+  const magnitude = upvotes + downvotes;
+  const balance = upvotes > downvotes ? downvotes / upvotes : upvotes / downvotes;
+
+  return Math.pow(magnitude, balance);
+}
+
+// z-score for an 80% confidence interval
+const WILSON_Z = 1.281551565545;
+
+// Lower bound of the Wilson score interval for the upvote ratio, so a
+// comment with 10 up / 1 down outranks one with a single upvote
+function calculateWilsonScore(upvotes, downvotes) {
+  const n = upvotes + downvotes;
+  if (n === 0) {
+    return 0;
+  }
+
+  const p = upvotes / n;
+  const z2 = WILSON_Z * WILSON_Z;
+  const left = p + z2 / (2 * n);
+  const right = WILSON_Z * Math.sqrt((p * (1 - p) + z2 / (4 * n)) / n);
+
+  return (left - right) / (1 + z2 / n);
+}
+
+// The Wilson score as an aggregation expression, for sorting in the
+// database; `upvotes` and `downvotes` are expressions such as '$upvotes'
+function wilsonScoreExpression(upvotes, downvotes) {
+  const z2 = WILSON_Z * WILSON_Z;
+  
+  return {
+    $let: {
+      vars: { n: { $add: [upvotes, downvotes] } },
+      in: {
+        $cond: [
+          { $eq: ['$$n', 0] },
+          0,
+          {
+            $let: {
+              vars: { p: { $divide: [upvotes, '$$n'] } },
+              in: {
+                $divide: [
+                  {
+                    $subtract: [
+                      { $add: ['$$p', { $divide: [z2, { $multiply: [2, '$$n'] }] }] },
+                      {
+                        $multiply: [WILSON_Z, {
+                          $sqrt: {
+                            $divide: [
+                              {
+                                $add: [
+                                  { $multiply: ['$$p', { $subtract: [1, '$$p'] }] },
+                                  { $divide: [z2, { $multiply: [4, '$$n'] }] }
+                                ]
+                              },
+                              '$$n'
+                            ]
+                          }
+                        }]
+                      }
+                    ]
+                  },
+                  { $add: [1, { $divide: [z2, '$$n'] }] }
+                ]
+              }
+            }
+          }
+        ]
+      }
+    }
+  };
+}
+
+// calculateControversyScore as an aggregation expression
+function controversyScoreExpression(upvotes, downvotes) {
+  return {
+    $cond: [
+      { $or: [{ $lte: [upvotes, 0] }, { $lte: [downvotes, 0] }] },
+      0,
+      {
+        $pow: [
+          { $add: [upvotes, downvotes] },
+          {
+            $cond: [
+              { $gt: [upvotes, downvotes] },
+              { $divide: [downvotes, upvotes] },
+              { $divide: [upvotes, downvotes] }
+            ]
+          }
+        ]
+      }
+    ]
+  };
+}
+
+module.exports = {
+  calculateHotScore,
+  calculateControversyScore,
+  calculateWilsonScore,
+  wilsonScoreExpression,
+  controversyScoreExpression
+};
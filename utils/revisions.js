@@ -0,0 +1,77 @@
+const { diffWords } = require('diff');
+const Revision = require('../models/Revision');
+const { isModerator } = require('./moderation');
+
+// Edits this soon after posting fix typos without leaving a revision
+const EDIT_GRACE_PERIOD = 3 * 60 * 1000;
+
+// Record the current version of a post or comment before an edit changes
+// it. Returns false (and records nothing) during the grace period, in which
+// case the item should not be marked as edited.
+async function recordRevision(item, itemType) {
+  if (Date.now() - new Date(item.createdAt).getTime() < EDIT_GRACE_PERIOD) {
+    return false;
+  }
+  
+  await Revision.create({
+    item: item._id,
+    itemType,
+    title: itemType === 'Post' ? item.title : undefined,
+    content: item.content || ''
+  });
+  
+  return true;
+}
+
+// Moderators can always read edit history; everyone else only when the
+// community makes it public, and never for deleted or removed content
+function canViewRevisions(community, item, userId) {
+  if (userId && isModerator(community, userId)) {
+    return true;
+  }
+  return community.publicEditHistory && !item.isRemoved && !item.isDeleted;
+}
+
+// Word-level changes from one text to the next
+function diffText(before, after) {
+  return diffWords(before || '', after || '').map(({ value, added, removed }) => ({
+    value,
+    added: Boolean(added),
+    removed: Boolean(removed)
+  }));
+}
+
+// Every version of an item, oldest first, each with the period it was
+// current and its changes from the version before
+async function getVersions(item, itemType) {
+  const revisions = await Revision.find({ item: item._id }).sort({ createdAt: 1 }).lean();
+  
+  const versions = [];
+  let since = item.createdAt;
+  
+  revisions.forEach(revision => {
+    versions.push({ title: revision.title, content: revision.content, from: since, until: revision.createdAt });
+    since = revision.createdAt;
+  });
+  versions.push({ title: item.title, content: item.content || '', from: since, until: null });
+  
+  return versions.map((version, index) => {
+    const previous = versions[index - 1];
+    if (!previous) {
+      return { ...version, diff: null };
+    }
+    
+    const diff = { content: diffText(previous.content, version.content) };
+    if (itemType === 'Post') {
+      diff.title = diffText(previous.title, version.title);
+    }
+    return { ...version, diff };
+  });
+}
+
+module.exports = {
+  EDIT_GRACE_PERIOD,
+  recordRevision,
+  canViewRevisions,
+  getVersions
+};
@@ -0,0 +1,83 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Uploaded files are stored through an adapter with save(key, buffer,
+// contentType), which resolves to the file's public URL, and remove(key).
+// Files go to local disk by default; set STORAGE_DRIVER=s3 to use an
+// S3-compatible bucket, or plug in another backend with setStorage().
+
+// Store files in a local directory served by the app under `baseUrl`
+function createLocalStorage({
+  dir = process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'),
+  baseUrl = '/uploads'
+} = {}) {
+  return {
+    dir,
+    baseUrl,
+    async save(key, buffer) {
+      const filePath = path.join(dir, key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+      return `${baseUrl}/${key}`;
+    },
+    async remove(key) {
+      await fs.rm(path.join(dir, key), { force: true });
+    }
+  };
+}
+
+// Store files in an S3-compatible bucket. `endpoint` and `publicUrl` allow
+// providers other than AWS (MinIO, R2, Spaces, ...).
+function createS3Storage({
+  bucket = process.env.S3_BUCKET,
+  region = process.env.S3_REGION || 'us-east-1',
+  endpoint = process.env.S3_ENDPOINT,
+  publicUrl = process.env.S3_PUBLIC_URL
+} = {}) {
+  const { S3Client, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+  
+  // Credentials come from the standard AWS environment variables
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle: Boolean(endpoint)
+  });
+  const baseUrl = publicUrl || `https://${bucket}.s3.${region}.amazonaws.com`;
+  
+  return {
+    async save(key, buffer, contentType) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType
+      }));
+      return `${baseUrl}/${key}`;
+    },
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    }
+  };
+}
+
+let storage = null;
+
+function getStorage() {
+  if (!storage) {
+    storage = process.env.STORAGE_DRIVER === 's3' ? createS3Storage() : createLocalStorage();
+  }
+  
+  return storage;
+}
+
+// Replace the storage backend; it must provide save() and remove()
+function setStorage(adapter) {
+  storage = adapter;
+}
+
+module.exports = {
+  createLocalStorage,
+  createS3Storage,
+  getStorage,
+  setStorage
+};
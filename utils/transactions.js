@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Run `fn(session)` in a transaction and return what it returns. The driver
+// retries `fn` on transient errors, so it must pass `session` to every
+// read and write and have no other side effects.
+async function withTransaction(fn) {
+  const session = await mongoose.startSession();
+  
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    
+    return result;
+  } finally {
+    await session.endSession();
+  }
+}
+
+// Transactions need a replica set (a single-node one is enough) or a
+// sharded cluster. Checked at startup, so a standalone server is reported
+// there instead of failing the first vote.
+async function checkTransactionSupport() {
+  const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+  
+  if (!hello.setName && hello.msg !== 'isdbgrid') {
+    throw new Error(
+      'MongoDB must run as a replica set or sharded cluster: votes, poll votes and account deletion use transactions'
+    );
+  }
+}
+
+module.exports = {
+  withTransaction,
+  checkTransactionSupport
+};
@@ -0,0 +1,170 @@
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Vote = require('../models/Vote');
+const { calculateHotScore, calculateControversyScore } = require('./ranking');
+const { withTransaction } = require('./transactions');
+const { inBatches } = require('./batches');
+
+const VOTE_MODELS = {
+  post: Post,
+  comment: Comment
+};
+
+// Ranking scores stored on posts, derived from their vote counters
+function getRankingScores(post) {
+  return {
+    hotScore: calculateHotScore(post.votes, post.createdAt),
+    controversyScore: calculateControversyScore(post.upvotes, post.downvotes)
+  };
+}
+
+// Swap a user's vote on an item within `session` and apply the difference
+// to the item's counters and ranking scores
+async function swapVote(session, itemType, itemId, userId, value) {
+  const filter = { user: userId, item: itemId, itemType };
+  
+  const previous = value === 0
+    ? await Vote.findOneAndDelete(filter, { session })
+    : await Vote.findOneAndUpdate(
+      filter,
+      { $set: { value }, $setOnInsert: { createdAt: Date.now() } },
+      { upsert: true, session }
+    );
+  
+  const previousValue = previous ? previous.value : 0;
+  const Model = VOTE_MODELS[itemType];
+  
+  if (value === previousValue) {
+    return { item: await Model.findById(itemId).session(session), change: 0 };
+  }
+  
+  const item = await Model.findByIdAndUpdate(
+    itemId,
+    {
+      $inc: {
+        votes: value - previousValue,
+        upvotes: (value === 1) - (previousValue === 1),
+        downvotes: (value === -1) - (previousValue === -1)
+      }
+    },
+    { new: true, session }
+  );
+  
+  // Atomic updates skip the save hook, so refresh the ranking scores here
+  if (item && itemType === 'post') {
+    const scores = getRankingScores(item);
+    await Post.updateOne({ _id: item._id }, { $set: scores }, { session });
+    Object.assign(item, scores);
+  }
+  
+  return { item, change: value - previousValue };
+}
+
+// Record a user's vote (1, -1, or 0 to clear it) on a post or comment and
+// apply the difference to the item's counters. The vote and the counters
+// are written in one transaction, so the previous value it returns is exact
+// even when requests race, a failure leaves neither write behind, and
+// repeating a vote changes nothing. Returns the updated item (null if it
+// has gone) and the change in its score.
+async function castVote(itemType, itemId, userId, value) {
+  const vote = session => swapVote(session, itemType, itemId, userId, value);
+  
+  try {
+    return await withTransaction(vote);
+  } catch (err) {
+    // Two first votes raced to insert; the loser retries and updates the
+    // winner's vote
+    if (err.code !== 11000) {
+      throw err;
+    }
+    return withTransaction(vote);
+  }
+}
+
+// Compare a batch of items' counters with their votes, read within
+// `session`, and correct the counters that differ when `fix` is set.
+// Returns the items that were out of sync.
+async function reconcileBatch(session, itemType, ids, fix) {
+  const Model = VOTE_MODELS[itemType];
+  
+  const items = await Model.find({ _id: { $in: ids } })
+    .select('votes upvotes downvotes createdAt')
+    .session(session)
+    .lean();
+  
+  const tallies = await Vote.aggregate([
+    { $match: { itemType, item: { $in: ids } } },
+    {
+      $group: {
+        _id: '$item',
+        votes: { $sum: '$value' },
+        upvotes: { $sum: { $cond: [{ $eq: ['$value', 1] }, 1, 0] } },
+        downvotes: { $sum: { $cond: [{ $eq: ['$value', -1] }, 1, 0] } }
+      }
+    }
+  ]).session(session);
+  
+  const tallyMap = new Map();
+  tallies.forEach(({ _id, ...counts }) => {
+    tallyMap.set(_id.toString(), counts);
+  });
+  
+  const discrepancies = [];
+  const fixes = [];
+  
+  items.forEach(item => {
+    const actual = tallyMap.get(item._id.toString()) || { votes: 0, upvotes: 0, downvotes: 0 };
+    const stored = { votes: item.votes, upvotes: item.upvotes || 0, downvotes: item.downvotes || 0 };
+    
+    if (stored.votes === actual.votes && stored.upvotes === actual.upvotes && stored.downvotes === actual.downvotes) {
+      return;
+    }
+    
+    discrepancies.push({ itemType, id: item._id, stored, actual });
+    
+    if (fix) {
+      const update = itemType === 'post'
+        ? { ...actual, ...getRankingScores({ ...actual, createdAt: item.createdAt }) }
+        : actual;
+      fixes.push({ updateOne: { filter: { _id: item._id }, update: { $set: update } } });
+    }
+  });
+  
+  if (fixes.length > 0) {
+    await Model.bulkWrite(fixes, { session });
+  }
+  
+  return discrepancies;
+}
+
+// Recompute the vote counters of every post or comment from the Vote
+// collection, a batch of items at a time. Each item found out of sync is
+// passed to `onDiscrepancy`; with `fix` it is corrected as well. Returns how
+// many were out of sync.
+//
+// A batch is tallied and fixed in one transaction. A vote cast meanwhile
+// updates the same item, so it either commits before the tally or conflicts
+// with the fix and is retried on top of it; no vote is overwritten.
+async function reconcileVoteCounts(itemType, { fix = false, onDiscrepancy = () => {} } = {}) {
+  const Model = VOTE_MODELS[itemType];
+  const cursor = Model.find().select('_id').lean().cursor();
+  let count = 0;
+  
+  for await (const batch of inBatches(cursor)) {
+    const ids = batch.map(item => item._id);
+    const discrepancies = fix
+      ? await withTransaction(session => reconcileBatch(session, itemType, ids, true))
+      : await reconcileBatch(null, itemType, ids, false);
+    
+    discrepancies.forEach(onDiscrepancy);
+    count += discrepancies.length;
+  }
+  
+  return count;
+}
+
+module.exports = {
+  getRankingScores,
+  castVote,
+  reconcileVoteCounts
+};